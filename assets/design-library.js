@@ -0,0 +1,276 @@
+/**
+ * "My designs" – saved T-shirt designs for logged-in customers
+ * File: assets/design-library.js
+ *
+ * A design library stores entries of the shape
+ *   { id, savedAt, title, productUrl, productTitle, variantId, thumbnail, params, properties }
+ * where `params` is the _design_params blob and `properties` the line-item
+ * properties used for a reorder. Backends share one async interface:
+ *   list() → entries (newest first), get(id), save(entry) → entry, remove(id)
+ *
+ *  - HttpDesignLibrary:  JSON REST endpoint behind a Shopify app proxy (theme
+ *                        setting "Design library app proxy path", e.g. /apps/designs)
+ *  - LocalDesignLibrary: localStorage per customer; the mock backend for
+ *                        development and tests
+ *  - window.tshirtDesignLibrary overrides both
+ *
+ * The HTTP backend never trusts an identity sent by the browser: Shopify adds
+ * logged_in_customer_id and an HMAC `signature` to every app proxy request,
+ * and the backend must verify the signature and scope each read/write to
+ * that customer (rejecting requests without one).
+ */
+
+console.log('[TDL v2025-10-18-a] loaded');
+
+
+class LocalDesignLibrary {
+  // limit: newest entries kept (each carries a data-URL thumbnail)
+  constructor(customerId, storage = window.localStorage, limit = 20) {
+    this.key = `tshirt-designs:${customerId}`;
+    this.storage = storage;
+    this.limit = limit;
+  }
+
+  read() {
+    try {
+      return JSON.parse(this.storage.getItem(this.key)) || [];
+    } catch (err) {
+      console.warn('Could not read saved designs:', err);
+      return [];
+    }
+  }
+
+  // entries newest first; when the storage quota is hit, older entries lose
+  // their thumbnails (oldest first), then the oldest entries are dropped
+  write(entries) {
+    const kept = entries.slice(0, this.limit).map((entry) => ({ ...entry }));
+    for (;;) {
+      try {
+        this.storage.setItem(this.key, JSON.stringify(kept));
+        return;
+      } catch (err) {
+        if (kept.length <= 1) throw err;
+        const thumbnailed = kept.slice(1).reverse().find((entry) => entry.thumbnail);
+        if (thumbnailed) delete thumbnailed.thumbnail;
+        else kept.pop();
+      }
+    }
+  }
+
+  async list() {
+    return this.read().sort((a, b) => b.savedAt - a.savedAt);
+  }
+
+  async get(id) {
+    return this.read().find((entry) => entry.id === id) || null;
+  }
+
+  // Re-saving the same design (same fingerprint) replaces the older entry
+  async save(entry) {
+    const fingerprint = entry.params?.fingerprint;
+    const saved = {
+      ...entry,
+      id: entry.id || fingerprint || `design-${Date.now().toString(36)}`,
+      savedAt: Date.now()
+    };
+    const entries = this.read().filter(
+      (e) => e.id !== saved.id && !(fingerprint && e.params?.fingerprint === fingerprint)
+    );
+    this.write([saved, ...entries]);
+    return saved;
+  }
+
+  async remove(id) {
+    this.write(this.read().filter((entry) => entry.id !== id));
+  }
+}
+
+class HttpDesignLibrary {
+  // url: same-origin app proxy path (see HttpDesignLibrary.isAppProxyPath)
+  constructor(url) {
+    this.url = url.replace(/\/$/, '');
+  }
+
+  async request(path = '', options = {}) {
+    const response = await fetch(`${this.url}${path}`, {
+      ...options,
+      credentials: 'same-origin',
+      headers: { 'Content-Type': 'application/json', Accept: 'application/json', ...options.headers }
+    });
+    if (response.status === 404) return null;
+    if (!response.ok) throw new Error(`Design library request failed (${response.status})`);
+    return response.status === 204 ? null : response.json();
+  }
+
+  async list() {
+    return (await this.request()) || [];
+  }
+
+  async get(id) {
+    return this.request(`/${encodeURIComponent(id)}`);
+  }
+
+  async save(entry) {
+    return this.request('', { method: 'POST', body: JSON.stringify(entry) });
+  }
+
+  async remove(id) {
+    await this.request(`/${encodeURIComponent(id)}`, { method: 'DELETE' });
+  }
+}
+
+// Shopify app proxy prefixes; only these requests carry a signed customer id
+HttpDesignLibrary.isAppProxyPath = function isAppProxyPath(url) {
+  return /^\/(apps|a|community|tools)\/[^?#]+$/.test(String(url || ''));
+};
+
+// Backend for a customer: window.tshirtDesignLibrary, the configured app proxy, or the local mock
+function createDesignLibrary({ url, customerId } = {}) {
+  if (window.tshirtDesignLibrary) return window.tshirtDesignLibrary;
+  if (!customerId) return null;
+  if (!url) return new LocalDesignLibrary(customerId);
+
+  if (!HttpDesignLibrary.isAppProxyPath(url)) {
+    console.error(`Design library URL "${url}" is not an app proxy path (/apps/…); saved designs are disabled`);
+    return null;
+  }
+  return new HttpDesignLibrary(url);
+}
+
+// Stored entries are untrusted: load links may only point at a product page of this shop
+function toProductPath(url) {
+  try {
+    const parsed = new URL(String(url || ''), window.location.origin);
+    if (parsed.origin !== window.location.origin) return null;
+    return /^(\/[a-z]{2}(-[a-z0-9]{2,4})?)?\/products\/[^/]+\/?$/i.test(parsed.pathname) ? parsed.pathname : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+if (typeof customElements !== 'undefined' && !customElements.get('saved-designs')) {
+  customElements.define(
+    'saved-designs',
+    class SavedDesigns extends HTMLElement {
+      constructor() {
+        super();
+        this.library = createDesignLibrary({
+          url: this.dataset.libraryUrl,
+          customerId: this.dataset.customerId
+        });
+        this.list = this.querySelector('.saved-designs__list');
+        this.status = this.querySelector('.saved-designs__status');
+        this.template = this.querySelector('template');
+        this.addEventListener('click', this.onClick.bind(this));
+      }
+
+      connectedCallback() {
+        this.render();
+      }
+
+      async render() {
+        if (!this.library || !this.list || !this.template) return;
+
+        let entries;
+        try {
+          entries = await this.library.list();
+        } catch (err) {
+          console.error('Could not load saved designs:', err);
+          this.setStatus(this.dataset.errorText);
+          return;
+        }
+
+        this.entries = entries;
+        this.list.replaceChildren(...entries.map((entry) => this.renderEntry(entry)));
+        this.setStatus(entries.length ? '' : this.dataset.emptyText);
+      }
+
+      renderEntry(entry) {
+        const item = this.template.content.firstElementChild.cloneNode(true);
+        item.dataset.designId = entry.id;
+
+        const image = item.querySelector('.saved-designs__thumbnail');
+        if (entry.thumbnail) {
+          image.src = entry.thumbnail;
+          image.alt = entry.title || '';
+        } else {
+          image.remove();
+        }
+
+        item.querySelector('.saved-designs__title').textContent = entry.title || '';
+        item.querySelector('.saved-designs__meta').textContent = [entry.params?.originalText, entry.productTitle]
+          .filter(Boolean)
+          .join(' · ');
+
+        const load = item.querySelector('.saved-designs__load');
+        const productPath = toProductPath(entry.productUrl);
+        if (productPath) {
+          const query = new URLSearchParams({ design_id: entry.id });
+          if (entry.variantId) query.set('variant', entry.variantId);
+          load.href = `${productPath}?${query}`;
+        } else {
+          load.remove();
+        }
+
+        item.querySelector('.saved-designs__reorder').disabled = !entry.variantId;
+        return item;
+      }
+
+      onClick(event) {
+        const button = event.target.closest('button[data-action]');
+        if (!button) return;
+
+        const id = button.closest('[data-design-id]')?.dataset.designId;
+        const entry = this.entries?.find((e) => e.id === id);
+        if (!entry) return;
+
+        if (button.dataset.action === 'reorder') this.reorder(entry, button);
+        if (button.dataset.action === 'remove') this.remove(entry);
+      }
+
+      // Same variant + line-item properties as the original order; production
+      // can re-render artwork from _design_params when no _print_file is stored
+      async reorder(entry, button) {
+        button.disabled = true;
+        try {
+          const properties = { ...entry.properties };
+          if (!properties._design_params && entry.params) properties._design_params = JSON.stringify(entry.params);
+
+          const response = await fetch(`${window.routes.cart_add_url}.js`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+            body: JSON.stringify({ items: [{ id: entry.variantId, quantity: 1, properties }] })
+          });
+          if (!response.ok) throw new Error(`Cart add failed (${response.status})`);
+
+          window.location.href = window.routes.cart_url;
+        } catch (err) {
+          console.error('Reorder failed:', err);
+          this.setStatus(this.dataset.errorText);
+          button.disabled = false;
+        }
+      }
+
+      async remove(entry) {
+        try {
+          await this.library.remove(entry.id);
+        } catch (err) {
+          console.error('Could not remove saved design:', err);
+        }
+        this.render();
+      }
+
+      setStatus(message) {
+        if (!this.status) return;
+        this.status.textContent = message || '';
+        this.status.classList.toggle('hidden', !message);
+      }
+    }
+  );
+}
+
+
+// Export for testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { LocalDesignLibrary, HttpDesignLibrary, createDesignLibrary, toProductPath };
+}
@@ -2,36 +2,56 @@
  * Text Layout Engine - SIMPLIFIED FONT SIZING + SMART LINE BREAKING
  * File: assets/text-layout-engine.js
  * UPDATED: Fixed font size (40px) with adaptive scaling + proper line breaking
+ *
+ * Measuring goes through a pluggable text measurer, so the engine runs
+ * headless under Node as well as against a live canvas:
+ *  - CanvasTextMeasurer   wraps any 2D context (browser canvas or node-canvas)
+ *  - FontMetricsMeasurer  estimates from a per-font metrics table, no canvas needed
+ * Every method that takes `ctx` accepts either a 2D context or a measurer.
  */
 
-console.log('[TLE v2025-09-16-b] loaded');
+const TLE_VERSION = '2025-10-18-a';
+console.log(`[TLE v${TLE_VERSION}] loaded`);
 
 
 class TextLayoutEngine {
-  constructor(canvasWidth = 600, canvasHeight = 600) {
+  constructor(canvasWidth = 600, canvasHeight = 600, options = {}) {
     this.canvasWidth = canvasWidth;
     this.canvasHeight = canvasHeight;
+    this.measurer = options.measurer || null;   // used when a call passes no ctx
+    this.canvasMeasurers = new WeakMap();
+    this.glyphSupport = new Map(); // "family|char" → boolean (only for loaded fonts)
     
     this.config = {
-      printArea: {
-        widthInches: 12,
-        heightInches: 16,
-        dpi: 300
-      },
+      debug: Boolean(options.debug),   // per-call console logging
       
-      // EXACT MEASUREMENTS from your Photoshop analysis
-      canvasMapping: {
-        horizontal: {
-          x: 200,
-          y: 78,
-          width: 200,
-          height: 270
+      // Named print placements: canvas rectangle on the 600x600 preview,
+      // physical print area and DPI, optional per-placement default anchors
+      defaultPlacement: 'front',
+      placements: {
+        // EXACT MEASUREMENTS from your Photoshop analysis
+        front: {
+          label: 'Front',
+          canvas: { x: 200, y: 78, width: 200, height: 270 },
+          printArea: { widthInches: 12, heightInches: 16, dpi: 300 }
+        },
+        back: {
+          label: 'Back',
+          canvas: { x: 190, y: 70, width: 220, height: 293 },
+          printArea: { widthInches: 12, heightInches: 16, dpi: 300 },
+          defaultAnchors: { horizontal: 'upper-back', vertical: 'upper-back' }
         },
-        vertical: {
-          x: 200,
-          y: 78,
-          width: 200,
-          height: 270
+        'left-chest': {
+          label: 'Left Chest',
+          canvas: { x: 330, y: 110, width: 70, height: 70 },
+          printArea: { widthInches: 4, heightInches: 4, dpi: 300 },
+          defaultAnchors: { horizontal: 'center', vertical: 'center' }
+        },
+        sleeve: {
+          label: 'Sleeve',
+          canvas: { x: 95, y: 150, width: 50, height: 60 },
+          printArea: { widthInches: 3.5, heightInches: 4.2, dpi: 300 },
+          defaultAnchors: { horizontal: 'center', vertical: 'center' }
         }
       },
       
@@ -43,33 +63,97 @@ class TextLayoutEngine {
       },
       
       // SIMPLIFIED FONT SETTINGS
-      baseFontSize: 40,        // Fixed starting size
+      baseFontSize: 40,        // Largest size the fit may use
       minFontSize: 12,         // Minimum readable size
-      scaleStep: 2,            // Reduce by 2px each step
+      fitPrecision: 0.25,      // Binary search stops within this many px
       
       lineSpacing: 1.1,
+      tracking: 0.02,          // em added between horizontal glyphs (measure, fit, render, export)
+      maxLines: 4,             // Horizontal line candidates tried (1..maxLines)
+      maxColumns: 4,           // Vertical column candidates tried (1..maxColumns)
+      lineBreakMode: 'auto',   // 'space' | 'kinsoku' | 'auto' (kinsoku for unspaced CJK)
       
       verticalSpacing: {
         charSpacingMultiplier: 0.85,
         columnMarginFactor: 0.3
+      },
+      
+      // Vertical glyph transforms (offsets in em, rotation in radians)
+      verticalGlyphs: {
+        rotate: 'ー－—―‐–〜～…‥（）「」『』［］｛｝〔〕【】〈〉《》＜＞＝()[]{}<>=',
+        rotation: Math.PI / 2,
+        smallKana: 'ぁぃぅぇぉっゃゅょゎゕゖァィゥェォッャュョヮヵヶ',
+        smallKanaOffset: { x: 0.12, y: -0.12 },
+        punctuation: '、。，．',
+        punctuationOffset: { x: 0.6, y: -0.6 },
+        tateChuYokoMaxLength: 2   // digit runs up to this length share one cell
+      },
+      
+      // Alignment presets: align left/center/right, verticalAlign top/middle/bottom,
+      // offsets as a fraction of the text area (applied after alignment)
+      anchors: {
+        'chest-center': { align: 'center', verticalAlign: 'top', offsetX: 0, offsetY: 0.1 },
+        'chest-right': { align: 'right', verticalAlign: 'top', offsetX: -0.06, offsetY: 0 },
+        'upper-back': { align: 'center', verticalAlign: 'top', offsetX: 0, offsetY: 0 },
+        'center': { align: 'center', verticalAlign: 'middle', offsetX: 0, offsetY: 0 }
+      },
+      defaultAnchors: {
+        horizontal: 'chest-center',
+        vertical: 'chest-right'
+      },
+      
+      // Kinsoku shori: characters that may not start / end a line
+      kinsoku: {
+        noLineStart: 'ぁぃぅぇぉっゃゅょゎゕゖァィゥェォッャュョヮヵヶㇰㇱㇲㇳㇴㇵㇶㇷㇸㇹㇺㇻㇼㇽㇾㇿー〜～‐゠–、。，．・：；？！」』）］｝〕〉》】〙〗〟’”ゝゞヽヾ々〻,.!?:;)]}',
+        noLineEnd: '「『（［｛〔〈《【〘〖〝‘“([{'
       }
     };
     
-    console.log('TextLayoutEngine initialized with fixed 40px base font size');
+    this.log('TextLayoutEngine initialized with fixed 40px base font size');
+  }
+  
+  log(...args) {
+    if (this.config.debug) console.log(...args);
+  }
+  
+  /**
+   * Normalize a 2D context / measurer / nothing into a text measurer
+   */
+  resolveMeasurer(ctx) {
+    if (ctx && typeof ctx.measure === 'function') return ctx;
+    
+    if (ctx && typeof ctx.measureText === 'function') {
+      if (!this.canvasMeasurers.has(ctx)) {
+        this.canvasMeasurers.set(ctx, new CanvasTextMeasurer(ctx));
+      }
+      return this.canvasMeasurers.get(ctx);
+    }
+    
+    if (!this.measurer) this.measurer = new FontMetricsMeasurer();
+    return this.measurer;
+  }
+  
+  /**
+   * Get a named placement (unknown names fall back to the default placement)
+   */
+  getPlacement(placement = this.config.defaultPlacement) {
+    const name = this.config.placements[placement] ? placement : this.config.defaultPlacement;
+    return { name, ...this.config.placements[name] };
   }
   
   /**
-   * Get text area for specified orientation
+   * Get text area for specified orientation and placement
    */
-  getTextArea(orientation = 'horizontal') {
-    const mapping = this.config.canvasMapping[orientation];
+  getTextArea(orientation = 'horizontal', placement = this.config.defaultPlacement) {
+    const { name, canvas: mapping } = this.getPlacement(placement);
     
     return {
       x: mapping.x + this.config.margins.left,
       y: mapping.y + this.config.margins.top,
       width: mapping.width - this.config.margins.left - this.config.margins.right,
       height: mapping.height - this.config.margins.top - this.config.margins.bottom,
-      orientation: orientation
+      orientation: orientation,
+      placement: name
     };
   }
   
@@ -78,93 +162,90 @@ class TextLayoutEngine {
    */
   // helper to measure a string at a given size
 textWidth(text, fontSize, fontFamily, ctx) {
-  ctx.font = `${fontSize}px ${fontFamily}`;
-  return ctx.measureText(String(text)).width;
+  return this.resolveMeasurer(ctx).measure(String(text), fontSize, fontFamily).width;
 }
 
-fitText(text, ignoredFontSize, fontFamily, ctx, orientation = 'horizontal') {
+fitText(text, maxFontSize, fontFamily, ctx, orientation = 'horizontal', options = {}) {
   if (!text || !text.trim()) {
-    return this.createEmptyLayout(orientation);
+    return this.createEmptyLayout(orientation, options.placement);
   }
 
-  console.log(`Fitting text: "${text}" (${orientation}) - using fixed 40px base size`);
+  // caller's maximum size (Font Size control); defaults to the config base size
+  const ceiling = Math.max(this.config.minFontSize, Number(maxFontSize) || this.config.baseFontSize);
+  this.log(`Fitting text: "${text}" (${orientation}) - binary search up to ${ceiling}px`);
   
-  const textArea = this.getTextArea(orientation);
-  let currentFontSize = this.config.baseFontSize;
-  let bestLayout = null;
+  const measurer = this.resolveMeasurer(ctx);
+  const textArea = this.getTextArea(orientation, options.placement);
   let attempts = 0;
-  const maxAttempts = Math.ceil((this.config.baseFontSize - this.config.minFontSize) / this.config.scaleStep) + 5;
-
-  // NEW: force a 2-line layout (split by space) when the base-size single line would overflow
-  const hasSpace = /\s+/.test(text);
-  const baseWidth = this.textWidth(text.trim(), currentFontSize, fontFamily, ctx);
-  const forceTwoLines = (orientation === 'horizontal' && hasSpace && baseWidth > textArea.width);
   
-  // ADAPTIVE SCALING LOOP
-  while (currentFontSize >= this.config.minFontSize && attempts < maxAttempts) {
+  const tryFontSize = (fontSize) => {
     attempts++;
+    const layout = this.createLayoutAtSize(text, fontSize, fontFamily, measurer, orientation, textArea, options);
+    return { layout, fits: this.checkLayoutFits(layout, textArea, orientation, measurer) };
+  };
+  
+  // BINARY SEARCH over continuous sizes: largest size whose glyph bounds fit the text area
+  let bestLayout = null;
+  const largest = tryFontSize(ceiling);
+  if (largest.fits) {
+    bestLayout = largest.layout;
+  } else {
+    const smallest = tryFontSize(this.config.minFontSize);
+    bestLayout = smallest.layout;
     
-    const layout = this.createLayoutAtSize(
-      text,
-      currentFontSize,
-      fontFamily,
-      ctx,
-      orientation,
-      textArea,
-      /* forceTwoLines: */ forceTwoLines
-    );
-    const fitsCompletely = this.checkLayoutFits(layout, textArea, orientation, ctx);
-
+    if (smallest.fits) {
+      let low = this.config.minFontSize;
+      let high = ceiling;
       
-      if (fitsCompletely) {
-        bestLayout = layout;
-        console.log(`✓ PERFECT FIT found at ${currentFontSize}px after ${attempts} attempts`);
-        break;
-      }
-      
-      // Store best attempt
-      if (!bestLayout || currentFontSize > bestLayout.fontSize) {
-        bestLayout = layout;
+      while (high - low > this.config.fitPrecision) {
+        const mid = Math.round(((low + high) / 2) * 100) / 100;
+        const attempt = tryFontSize(mid);
+        if (attempt.fits) {
+          low = mid;
+          bestLayout = attempt.layout;
+        } else {
+          high = mid;
+        }
       }
-      
-      // Reduce font size
-      currentFontSize -= this.config.scaleStep;
     }
-    
-    // Use best layout found
-    if (!bestLayout) {
-      bestLayout = this.createLayoutAtSize(text, this.config.minFontSize, fontFamily, ctx, orientation, textArea);
-    }
-    
-    // Update metadata
-    bestLayout.metadata.baseFontSize = this.config.baseFontSize;
-    bestLayout.metadata.finalSize = bestLayout.fontSize;
-    bestLayout.metadata.scalingAttempts = attempts;
-    bestLayout.metadata.orientation = orientation;
-    
-    console.log(`✓ FINAL: ${bestLayout.fontSize}px, ${bestLayout.lines.length} lines, orientation: ${orientation}`);
-    
-    return bestLayout;
   }
   
+  // Update metadata
+  bestLayout.metadata.baseFontSize = ceiling;
+  bestLayout.metadata.finalSize = bestLayout.fontSize;
+  bestLayout.metadata.scalingAttempts = attempts;
+  bestLayout.metadata.orientation = orientation;
+  bestLayout.metadata.headroom = this.getLayoutHeadroom(bestLayout, textArea, measurer);
+  
+  this.log(`✓ FINAL: ${bestLayout.fontSize}px, ${bestLayout.lines.length} lines, orientation: ${orientation}`);
+  
+  return bestLayout;
+}
+
   /**
    * Create layout with simplified line breaking rules
    */
-  createLayoutAtSize(text, fontSize, fontFamily, ctx, orientation, textArea, forceTwoLines = false) {
-  ctx.font = `${fontSize}px ${fontFamily}`;
+  createLayoutAtSize(text, fontSize, fontFamily, ctx, orientation, textArea, options = {}) {
+  const measurer = this.resolveMeasurer(ctx);
   const lineHeight = fontSize * this.config.lineSpacing;
+  const lineBreakMode = this.resolveLineBreakMode(text, options.lineBreakMode);
+  const alignment = this.resolveAlignment(orientation, { placement: textArea.placement, ...options });
 
   let lines = [];
   if (orientation === 'vertical') {
-    lines = [this.cleanTextForVertical(text)];
+    lines = this.createVerticalColumns(text, fontSize, measurer, textArea);
+  } else if (lineBreakMode === 'kinsoku') {
+    lines = this.createHorizontalLinesWithKinsoku(
+      text, fontSize, fontFamily, measurer, textArea
+    );
   } else {
     lines = this.createHorizontalLinesWithSpaceBreaking(
-      text, fontSize, fontFamily, ctx, textArea, forceTwoLines
+      text, fontSize, fontFamily, measurer, textArea
     );
   }
     
     // Calculate positions
-    const positions = this.calculatePositions(lines, fontSize, fontFamily, lineHeight, ctx, orientation, textArea);
+    const positions = this.calculatePositions(lines, fontSize, fontFamily, lineHeight, measurer, orientation, textArea, alignment);
     
     return {
       fits: true,
@@ -173,159 +254,548 @@ fitText(text, ignoredFontSize, fontFamily, ctx, orientation = 'horizontal') {
       allLines: lines,
       positions,
       fontSize,
+      fontFamily,
       lineHeight,
       totalHeight: lines.length * lineHeight,
       textArea: textArea,
-      printArea: this.config.canvasMapping[orientation],
+      printArea: this.getPlacement(textArea.placement).canvas,
       metadata: {
         originalFontSize: fontSize,
         linesCount: lines.length,
         wasTruncated: false,
+        lineBreakMode: orientation === 'vertical' ? null : lineBreakMode,
+        alignment,
+        placement: this.getPlacement(textArea.placement).name,
         orientation: orientation
       }
     };
   }
   
   /**
-   * HORIZONTAL: Smart line breaking - max 2 lines, break only at spaces
+   * Pick the line breaking mode for a call ('auto' → kinsoku for unspaced CJK text)
    */
-    createHorizontalLinesWithSpaceBreaking(text, fontSize, fontFamily, ctx, textArea, forceTwoLines = false) {
-  ctx.font = `${fontSize}px ${fontFamily}`;
-  const trimmed = String(text || '').trim();
+  resolveLineBreakMode(text, requested) {
+    const mode = requested || this.config.lineBreakMode;
+    if (mode !== 'auto') return mode;
 
-  // If it fits in one line, keep it one line (unless forced)
-  const oneLineWidth = ctx.measureText(trimmed).width;
-  if (!forceTwoLines && oneLineWidth <= textArea.width) {
-    return [trimmed];
+    const trimmed = String(text || '').trim();
+    return !/\s/.test(trimmed) && this.isCJK(trimmed) ? 'kinsoku' : 'space';
   }
 
-  const words = trimmed.split(/\s+/).filter(Boolean);
+  isCJK(text) {
+    return /[\u3000-\u30ff\u31f0-\u31ff\u3400-\u9fff\uf900-\ufaff\uff00-\uffef]/.test(text);
+  }
+
+  /**
+   * HORIZONTAL: Smart line breaking - 1..maxLines lines, break only at spaces
+   */
+  createHorizontalLinesWithSpaceBreaking(text, fontSize, fontFamily, ctx, textArea, maxLines = this.config.maxLines) {
+    const measurer = this.resolveMeasurer(ctx);
+    const trimmed = String(text || '').trim();
+    const words = trimmed.split(/\s+/).filter(Boolean);
+
+    return this.chooseHorizontalLines(words, ' ', trimmed, fontSize, fontFamily, measurer, textArea, maxLines);
+  }
 
-  // If forcing two lines and we have at least 2 "words", prefer one word per line.
-  if (forceTwoLines && words.length >= 2) {
-    const left  = words.slice(0, 1).join(' ');
-    const right = words.slice(1).join(' ');
-    if (ctx.measureText(left).width  <= textArea.width &&
-        ctx.measureText(right).width <= textArea.width) {
-      return [left, right];
+  /**
+   * HORIZONTAL: Japanese line breaking - break between CJK characters,
+   * honoring kinsoku rules and keeping Latin words together
+   */
+  createHorizontalLinesWithKinsoku(text, fontSize, fontFamily, ctx, textArea, maxLines = this.config.maxLines) {
+    const measurer = this.resolveMeasurer(ctx);
+    const trimmed = String(text || '').trim();
+    const units = this.splitKinsokuUnits(trimmed);
+
+    return this.chooseHorizontalLines(units, '', trimmed, fontSize, fontFamily, measurer, textArea, maxLines);
+  }
+
+  /**
+   * Split text into unbreakable units; a break is allowed between two units
+   */
+  splitKinsokuUnits(text) {
+    const { noLineStart, noLineEnd } = this.config.kinsoku;
+    const chars = Array.from(text);
+    const units = [];
+
+    chars.forEach((char, i) => {
+      const prev = chars[i - 1];
+      const canBreak = i > 0 &&
+        !noLineStart.includes(char) &&
+        !noLineEnd.includes(prev) &&
+        (/\s/.test(char) || /\s/.test(prev) || this.isCJK(char) || this.isCJK(prev));
+
+      if (canBreak) {
+        units.push(char);
+      } else if (units.length) {
+        units[units.length - 1] += char;
+      } else {
+        units.push(char);
+      }
+    });
+
+    return units;
+  }
+
+  /**
+   * Returns the fewest lines that fit at this size; if nothing fits, the
+   * narrowest candidate so the caller keeps scaling down.
+   */
+  chooseHorizontalLines(units, joiner, trimmed, fontSize, fontFamily, measurer, textArea, maxLines) {
+    if (units.length <= 1) return [trimmed];
+
+    const lineHeight = fontSize * this.config.lineSpacing;
+    const lineLimit = Math.max(1, Math.min(maxLines, units.length));
+    const spanWidth = this.createSpanMeasurer(units, joiner, fontSize, fontFamily, measurer);
+    let fallback = null;
+
+    for (let lineCount = 1; lineCount <= lineLimit; lineCount++) {
+      const candidate = this.findBalancedLineSplit(units, lineCount, spanWidth, joiner);
+      if (!candidate) continue;
+
+      const fitsHeight = lineCount * lineHeight <= textArea.height;
+      if (fitsHeight && candidate.maxWidth <= textArea.width) {
+        return candidate.lines;
+      }
+      if (fitsHeight && (!fallback || candidate.maxWidth < fallback.maxWidth)) {
+        fallback = candidate;
+      }
     }
-    // fall through to balanced split if that failed
-  }
-
-  // Try a balanced two-line split if there are spaces
-  if (words.length > 1) {
-    let bestIdx = -1;
-    let bestScore = Infinity;
-    for (let i = 1; i < words.length; i++) {
-      const left  = words.slice(0, i).join(' ');
-      const right = words.slice(i).join(' ');
-      const wL = ctx.measureText(left).width;
-      const wR = ctx.measureText(right).width;
-      if (wL <= textArea.width && wR <= textArea.width) {
-        const score = Math.abs(wL - wR);
-        if (score < bestScore) { bestScore = score; bestIdx = i; }
+
+    // Fallback: narrowest candidate (the engine will keep scaling down)
+    return fallback ? fallback.lines : [trimmed];
+  }
+
+  /**
+   * spanWidth(from, to): measureLine width of units[from..to) joined with
+   * `joiner` and trimmed. Each distinct character is measured once; spans
+   * come from prefix sums of the advances, so a lookup is O(1).
+   */
+  createSpanMeasurer(units, joiner, fontSize, fontFamily, measurer) {
+    const letterSpacing = fontSize * this.config.tracking;
+    const joinerLength = Array.from(joiner).length;
+    const chars = Array.from(units.join(joiner));
+    const advances = new Map();
+    const prefix = [0];
+
+    chars.forEach((char, i) => {
+      if (!advances.has(char)) advances.set(char, measurer.measure(char, fontSize, fontFamily).width);
+      prefix.push(prefix[i] + advances.get(char));
+    });
+
+    // character index where each unit starts / ends
+    const starts = [];
+    const ends = [];
+    units.reduce((offset, unit) => {
+      starts.push(offset);
+      ends.push(offset + Array.from(unit).length);
+      return offset + Array.from(unit).length + joinerLength;
+    }, 0);
+
+    return (from, to) => {
+      let start = starts[from];
+      let end = ends[to - 1];
+      while (start < end && /\s/.test(chars[start])) start++;
+      while (end > start && /\s/.test(chars[end - 1])) end--;
+      return end > start ? prefix[end] - prefix[start] + letterSpacing * (end - start - 1) : 0;
+    };
+  }
+
+  /**
+   * Split units into exactly `lineCount` lines, minimizing the longest line
+   * (spanWidth(from, to) = width of units[from..to) on one line); ties go to
+   * the split with the smallest spread, then to the earliest breaks.
+   * Min-max partition by dynamic programming over suffixes: O(lineCount · n²).
+   */
+  findBalancedLineSplit(words, lineCount, spanWidth, joiner = ' ') {
+    const n = words.length;
+    if (lineCount > n) return null;
+
+    const EPSILON = 1e-6;
+    const lineOf = (from, to) => words.slice(from, to).join(joiner).trim();
+
+    // longest[j][p]: smallest possible longest line when words[p..n) fill j lines
+    const longest = [null, []];
+    for (let p = 0; p < n; p++) longest[1][p] = spanWidth(p, n);
+    for (let j = 2; j <= lineCount; j++) {
+      longest[j] = [];
+      for (let p = 0; p <= n - j; p++) {
+        let best = Infinity;
+        for (let q = p + 1; q <= n - j + 1; q++) {
+          best = Math.min(best, Math.max(spanWidth(p, q), longest[j - 1][q]));
+        }
+        longest[j][p] = best;
+      }
+    }
+    const maxWidth = longest[lineCount][0];
+
+    // shortest[j][p]: largest possible shortest line with no line above maxWidth
+    const shortest = [null, []];
+    for (let p = 0; p < n; p++) {
+      const width = spanWidth(p, n);
+      shortest[1][p] = width <= maxWidth + EPSILON ? width : -Infinity;
+    }
+    for (let j = 2; j <= lineCount; j++) {
+      shortest[j] = [];
+      for (let p = 0; p <= n - j; p++) {
+        let best = -Infinity;
+        for (let q = p + 1; q <= n - j + 1; q++) {
+          const width = spanWidth(p, q);
+          if (width <= maxWidth + EPSILON) best = Math.max(best, Math.min(width, shortest[j - 1][q]));
+        }
+        shortest[j][p] = best;
       }
     }
-    if (bestIdx > 0) {
-      return [words.slice(0, bestIdx).join(' '), words.slice(bestIdx).join(' ')];
+    const minWidth = shortest[lineCount][0];
+
+    // earliest break at each step that still reaches (maxWidth, minWidth)
+    const lines = [];
+    let from = 0;
+    for (let j = lineCount; j > 1; j--) {
+      let to = from + 1;
+      while (to <= n - j + 1) {
+        const width = spanWidth(from, to);
+        if (width <= maxWidth + EPSILON && width >= minWidth - EPSILON && shortest[j - 1][to] >= minWidth - EPSILON) break;
+        to++;
+      }
+      lines.push(lineOf(from, to));
+      from = to;
     }
+    lines.push(lineOf(from, n));
+
+    return { lines, maxWidth, spread: maxWidth - minWidth };
   }
 
-  // Fallback: single line (the engine will keep scaling down)
-  return [trimmed];
-}
+  /**
+   * VERTICAL: Tategaki columns - 1..maxColumns columns, read right-to-left.
+   * Breaks follow kinsoku rules; returns the fewest columns that fit.
+   */
+  createVerticalColumns(text, fontSize, measurer, textArea, maxColumns = this.config.maxColumns) {
+    const cleaned = this.cleanTextForVertical(text);
+    const units = this.splitKinsokuUnits(String(text || '').trim())
+      .map((unit) => this.cleanTextForVertical(unit))
+      .filter(Boolean);
+    if (units.length <= 1) return [cleaned];
 
+    const charSpacing = fontSize * this.config.lineSpacing * this.config.verticalSpacing.charSpacingMultiplier;
+    const columnLimit = Math.max(1, Math.min(maxColumns, units.length));
+    // column height = cell count × charSpacing; digit runs never cross units, so cells add up
+    const cellPrefix = [0];
+    units.forEach((unit, i) => cellPrefix.push(cellPrefix[i] + this.splitVerticalCells(unit).length));
+    const spanHeight = (from, to) => (cellPrefix[to] - cellPrefix[from]) * charSpacing;
+    let fallback = null;
+
+    for (let columnCount = 1; columnCount <= columnLimit; columnCount++) {
+      const candidate = this.findBalancedLineSplit(units, columnCount, spanHeight, '');
+      if (!candidate) continue;
+
+      const fitsWidth = this.getVerticalBlockWidth(columnCount, fontSize) <= textArea.width;
+      if (fitsWidth && candidate.maxWidth <= textArea.height) {
+        return candidate.lines;
+      }
+      if (fitsWidth && (!fallback || candidate.maxWidth < fallback.maxWidth)) {
+        fallback = candidate;
+      }
+    }
+
+    // Fallback: shortest candidate (the engine will keep scaling down)
+    return fallback ? fallback.lines : [cleaned];
+  }
 
-  
   /**
-   * Clean text for vertical orientation (remove spaces)
+   * Total width of `columnCount` vertical columns including column gaps
    */
+  getVerticalBlockWidth(columnCount, fontSize) {
+    const gap = fontSize * this.config.verticalSpacing.columnMarginFactor;
+    return columnCount * fontSize + Math.max(0, columnCount - 1) * gap;
+  }
+
   /**
  * Clean text for vertical orientation
  * - remove all whitespace (no visual gaps between words)
- * - map any hyphen-ish characters to the Japanese prolonged sound mark ー (U+30FC)
+ * - map any hyphen-ish characters to the Japanese prolonged sound mark ー (U+30FC),
+ *   which is then rotated by getVerticalGlyphTransform
  */
 cleanTextForVertical(text) {
   return String(text || '')
     .replace(/\s+/g, '')
-    .replace(/[ー\-‒–—−﹘﹣－]/g, '｜') // includes U+30FC now
+    .replace(/[\-‒–—−﹘﹣－]/g, 'ー')
     .trim();
 }
 
+  /**
+   * Split a vertical column into cells: one glyph per cell, except short
+   * digit runs which are set horizontally in a single cell (tate-chu-yoko)
+   */
+  splitVerticalCells(column) {
+    const maxLength = this.config.verticalGlyphs.tateChuYokoMaxLength;
+    const cells = [];
 
+    String(column || '').split(/(\d+)/).forEach((part) => {
+      if (!part) return;
+      if (/^\d+$/.test(part) && part.length <= maxLength) {
+        cells.push(part);
+      } else {
+        cells.push(...Array.from(part));
+      }
+    });
+
+    return cells;
+  }
+
+  /**
+   * Rotation/offset info for one vertical cell; empty object for upright glyphs
+   */
+  getVerticalGlyphTransform(cell, fontSize, width) {
+    const glyphs = this.config.verticalGlyphs;
+
+    if (cell.length > 1) {
+      return {
+        tateChuYoko: true,
+        scaleX: width > fontSize ? fontSize / width : 1
+      };
+    }
+    if (glyphs.rotate.includes(cell)) {
+      return { rotation: glyphs.rotation };
+    }
+    if (glyphs.smallKana.includes(cell)) {
+      return {
+        offsetX: fontSize * glyphs.smallKanaOffset.x,
+        offsetY: fontSize * glyphs.smallKanaOffset.y
+      };
+    }
+    if (glyphs.punctuation.includes(cell)) {
+      return {
+        offsetX: fontSize * glyphs.punctuationOffset.x,
+        offsetY: fontSize * glyphs.punctuationOffset.y
+      };
+    }
+    return {};
+  }
 
-  
   /**
-   * Check if layout fits within constraints
+   * Check if layout fits within constraints (real glyph bounds inside the text area)
    */
   checkLayoutFits(layout, textArea, orientation, ctx) {
-    if (orientation === 'vertical') {
-      // Vertical: Check if single column fits in height
-      const text = layout.lines[0] || '';
-      const charHeight = layout.lineHeight * this.config.verticalSpacing.charSpacingMultiplier;
-      const totalHeight = text.length * charHeight;
-      return totalHeight <= textArea.height;
-    } else {
-      // Horizontal: Check if all lines fit in width and height
-      const totalHeight = layout.lines.length * layout.lineHeight;
-      if (totalHeight > textArea.height) return false;
-      
-      // Check each line width
-      ctx.font = `${layout.fontSize}px ${layout.fontFamily || 'Arial'}`;
-      return layout.lines.every(line => {
-        const lineWidth = ctx.measureText(line).width;
-        return lineWidth <= textArea.width;
-      });
+    if (!layout.positions.length) return true;
+
+    const headroom = this.getLayoutHeadroom(layout, textArea, this.resolveMeasurer(ctx));
+    return headroom.top >= 0 && headroom.right >= 0 && headroom.bottom >= 0 && headroom.left >= 0;
+  }
+
+  /**
+   * Distance (px) from the layout's ink bounds to each text area edge; negative means overflow
+   */
+  getLayoutHeadroom(layout, textArea, ctx) {
+    const bounds = this.getLayoutInkBounds(layout, ctx);
+
+    return {
+      top: bounds.top - textArea.y,
+      right: textArea.x + textArea.width - bounds.right,
+      bottom: textArea.y + textArea.height - bounds.bottom,
+      left: bounds.left - textArea.x
+    };
+  }
+
+  /**
+   * Union of the actual glyph bounding boxes of every positioned run
+   */
+  getLayoutInkBounds(layout, ctx) {
+    const measurer = this.resolveMeasurer(ctx);
+    const fontSize = layout.fontSize;
+    const fontFamily = layout.fontFamily || 'Arial';
+    const bounds = { left: Infinity, top: Infinity, right: -Infinity, bottom: -Infinity };
+
+    const extend = (box) => {
+      bounds.left = Math.min(bounds.left, box.left);
+      bounds.top = Math.min(bounds.top, box.top);
+      bounds.right = Math.max(bounds.right, box.right);
+      bounds.bottom = Math.max(bounds.bottom, box.bottom);
+    };
+
+    layout.positions.forEach((pos) => {
+      if (pos.glyphs) {
+        // tracked horizontal line: bounds of each glyph at its own advance
+        pos.glyphs.forEach((g) => {
+          const glyph = this.measureGlyphBounds(g.char, fontSize, fontFamily, measurer);
+          extend({ left: g.x - glyph.left, right: g.x + glyph.right, top: pos.y - glyph.ascent, bottom: pos.y + glyph.descent });
+        });
+        return;
+      }
+
+      let box;
+      if (pos.rotation) {
+        // rotated glyphs occupy their em cell
+        const centerY = pos.y - fontSize * 0.38;
+        box = { left: pos.x, right: pos.x + fontSize, top: centerY - fontSize / 2, bottom: centerY + fontSize / 2 };
+      } else {
+        const glyph = this.measureGlyphBounds(pos.line, fontSize, fontFamily, measurer);
+        const x = pos.x + (pos.offsetX || 0);
+        const y = pos.y + (pos.offsetY || 0);
+        const scaleX = pos.scaleX || 1;
+        box = pos.tateChuYoko
+          ? { left: x + (fontSize - glyph.width * scaleX) / 2, right: x + (fontSize + glyph.width * scaleX) / 2 }
+          : { left: x - glyph.left, right: x + glyph.right };
+        box.top = y - glyph.ascent;
+        box.bottom = y + glyph.descent;
+      }
+
+      extend(box);
+    });
+
+    return bounds;
+  }
+
+  /**
+   * actualBoundingBox* metrics for a run, with em-based fallbacks where unsupported
+   */
+  measureGlyphBounds(text, fontSize, fontFamily, ctx) {
+    const metrics = this.resolveMeasurer(ctx).measure(String(text), fontSize, fontFamily);
+    const has = (key) => typeof metrics[key] === 'number';
+
+    return {
+      width: metrics.width,
+      left: has('actualBoundingBoxLeft') ? metrics.actualBoundingBoxLeft : 0,
+      right: has('actualBoundingBoxRight') ? metrics.actualBoundingBoxRight : metrics.width,
+      ascent: has('actualBoundingBoxAscent') ? metrics.actualBoundingBoxAscent : fontSize * 0.88,
+      descent: has('actualBoundingBoxDescent') ? metrics.actualBoundingBoxDescent : fontSize * 0.12
+    };
+  }
+  
+  /**
+   * Characters of `text` that can't be printed in `fontFamily` (unique, in order)
+   */
+  findUnrenderableChars(text, fontFamily, ctx) {
+    const chars = [...new Set(Array.from(String(text || '')))].filter((ch) => !/\s/.test(ch));
+    return chars.filter((ch) => !this.isRenderableChar(ch, fontFamily, ctx));
+  }
+  
+  /**
+   * Unrenderable characters of `text` per font: { [name]: chars[] } for a
+   * { name: fontFamily } map such as the designer's config.fontFamilies
+   */
+  getGlyphCoverage(text, fontFamilies, ctx) {
+    const coverage = {};
+    Object.entries(fontFamilies || {}).forEach(([name, fontFamily]) => {
+      coverage[name] = this.findUnrenderableChars(text, fontFamily, ctx);
+    });
+    return coverage;
+  }
+  
+  /**
+   * Control, format, private-use, unassigned and emoji code points never print.
+   * With a real 2D context the glyph is measured in `family, <generic>` and in
+   * the bare generic: if both stacks measure the same for monospace and serif,
+   * the browser fell back past the family, i.e. it has no glyph. (Comparing
+   * against the bare generic also catches CJK, where monospace and serif
+   * often resolve to the same system font.) A font still loading counts as
+   * renderable (not cached) so the check settles once it arrives.
+   */
+  isRenderableChar(ch, fontFamily, ctx) {
+    if (/[\p{Cc}\p{Cf}\p{Co}\p{Cs}\p{Cn}]|\p{Emoji_Presentation}/u.test(ch)) return false;
+    if (!ctx || typeof ctx.measureText !== 'function') return true;
+    
+    const family = String(fontFamily || 'Arial').split(',')[0].trim();
+    const key = `${family}|${ch}`;
+    if (this.glyphSupport.has(key)) return this.glyphSupport.get(key);
+    
+    const fonts = typeof document !== 'undefined' ? document.fonts : null;
+    if (fonts && !fonts.check(`32px ${family}`, ch)) {
+      fonts.load(`32px ${family}`, ch).catch(() => {});
+      return true;
     }
+    
+    const signature = (stack) => {
+      ctx.save();
+      ctx.font = `32px ${stack}`;
+      const m = ctx.measureText(ch);
+      ctx.restore();
+      return [m.width, m.actualBoundingBoxLeft, m.actualBoundingBoxRight, m.actualBoundingBoxAscent, m.actualBoundingBoxDescent]
+        .map((v) => Math.round((v || 0) * 10))
+        .join(',');
+    };
+    
+    const supported = ['monospace', 'serif'].some(
+      (generic) => signature(`${family}, ${generic}`) !== signature(generic)
+    );
+    this.glyphSupport.set(key, supported);
+    return supported;
   }
   
   /**
    * Calculate positions for rendering
    */
-  calculatePositions(lines, fontSize, fontFamily, lineHeight, ctx, orientation, textArea) {
-    ctx.font = `${fontSize}px ${fontFamily}`;
+  calculatePositions(lines, fontSize, fontFamily, lineHeight, ctx, orientation, textArea, alignment = this.resolveAlignment(orientation)) {
+    const measurer = this.resolveMeasurer(ctx);
     const positions = [];
+    const offsetX = alignment.offsetX * textArea.width;
+    const offsetY = alignment.offsetY * textArea.height;
+    const descent = fontSize * 0.12;
     
     if (orientation === 'vertical') {
-      // VERTICAL: Single column, characters top to bottom
-      const startY = textArea.y + fontSize * 0.85;
-      const columnX = textArea.x + (textArea.width / 2 + 45); // Center horizontally
+      // VERTICAL: Columns right-to-left, characters top to bottom, columns top-aligned
+      const cellsByColumn = lines.map((column) => this.splitVerticalCells(column));
+      const firstCells = cellsByColumn.map((cells) => cells[0]).filter(Boolean);
+      const ascent = Math.max(
+        fontSize * 0.88,
+        ...firstCells.map((cell) => this.measureGlyphBounds(cell, fontSize, fontFamily, measurer).ascent)
+      );
       const charSpacing = lineHeight * this.config.verticalSpacing.charSpacingMultiplier;
+      const columnStep = fontSize * (1 + this.config.verticalSpacing.columnMarginFactor);
+      const maxCells = Math.max(1, ...cellsByColumn.map((cells) => cells.length));
+      const blockWidth = this.getVerticalBlockWidth(lines.length, fontSize);
+      const blockHeight = ascent + (maxCells - 1) * charSpacing + descent;
       
-      const text = lines[0] || '';
-      const chars = text.split('');
+      const blockLeft = this.alignOffset(alignment.align, textArea.x, textArea.width, blockWidth) + offsetX;
+      const blockTop = this.alignOffset(alignment.verticalAlign, textArea.y, textArea.height, blockHeight) + offsetY;
+      const firstColumnX = blockLeft + blockWidth - fontSize;
+      const startY = blockTop + ascent;
       
-      chars.forEach((char, charIndex) => {
-        const x = columnX;
-        const y = startY + (charIndex * charSpacing);
+      cellsByColumn.forEach((cells, columnIndex) => {
+        const x = firstColumnX - columnIndex * columnStep;
         
-        positions.push({
-          x,
-          y,
-          line: char,
-          width: ctx.measureText(char).width,
-          height: fontSize,
-          useReducedSpacing: false
+        cells.forEach((char, charIndex) => {
+          const y = startY + (charIndex * charSpacing);
+          const width = measurer.measure(char, fontSize, fontFamily).width;
+          const transform = this.getVerticalGlyphTransform(char, fontSize, width);
+          // rotated / tate-chu-yoko cells center themselves from the cell's left
+          // edge; upright glyphs (half-width Latin, long digit runs) are drawn
+          // left-aligned, so x is shifted to center them in the em cell
+          const upright = !transform.rotation && !transform.tateChuYoko;
+          
+          positions.push({
+            x: upright ? x + (fontSize - width) / 2 : x,
+            y,
+            line: char,
+            width,
+            height: fontSize,
+            columnIndex,
+            ...transform
+          });
         });
       });
       
     } else {
-      // HORIZONTAL: Lines top to bottom, centered horizontally
-      const startY = textArea.y + fontSize * 1.6;
+      // HORIZONTAL: Lines top to bottom, each line aligned within the text area
+      const ascent = Math.max(
+        fontSize * 0.88,
+        ...lines.map((line) => this.measureGlyphBounds(line, fontSize, fontFamily, measurer).ascent)
+      );
+      const blockHeight = ascent + (lines.length - 1) * lineHeight + descent;
+      const startY = this.alignOffset(alignment.verticalAlign, textArea.y, textArea.height, blockHeight) + offsetY + ascent;
       
       lines.forEach((line, index) => {
-        const metrics = ctx.measureText(line);
-        const x = textArea.x + (textArea.width - metrics.width) / 2;
+        const measured = this.measureLine(line, fontSize, fontFamily, measurer);
+        const x = this.alignOffset(alignment.align, textArea.x, textArea.width, measured.width) + offsetX;
         const y = startY + (index * lineHeight);
         
         positions.push({
           x,
           y,
           line,
-          width: metrics.width,
+          width: measured.width,
           height: fontSize,
-          useReducedSpacing: true,
-          letterSpacingReduction: fontSize * 0.10
+          letterSpacing: measured.letterSpacing,
+          glyphs: measured.glyphs.map((g) => ({ char: g.char, x: x + g.offset, width: g.width }))
         });
       });
     }
@@ -333,11 +803,60 @@ cleanTextForVertical(text) {
     return positions;
   }
   
+  /**
+   * Start coordinate of a `size` block aligned start/center/end inside [origin, origin + span]
+   * ('left'/'top' = start, 'center'/'middle' = center, 'right'/'bottom' = end)
+   */
+  alignOffset(align, origin, span, size) {
+    if (align === 'left' || align === 'top') return origin;
+    if (align === 'right' || align === 'bottom') return origin + span - size;
+    return origin + (span - size) / 2;
+  }
+  
+  /**
+   * Resolve alignment for a call: explicit options override the anchor preset.
+   * Without an anchor or explicit alignment, the placement's (or config) defaultAnchors apply.
+   */
+  resolveAlignment(orientation = 'horizontal', options = {}) {
+    const explicit = Boolean(options.align || options.verticalAlign);
+    const defaultAnchors = this.getPlacement(options.placement).defaultAnchors || this.config.defaultAnchors;
+    const anchorName = options.anchor || (explicit ? null : defaultAnchors[orientation]);
+    const anchor = this.config.anchors[anchorName] || {};
+    
+    return {
+      anchor: this.config.anchors[anchorName] ? anchorName : null,
+      align: options.align || anchor.align || 'center',
+      verticalAlign: options.verticalAlign || anchor.verticalAlign || 'top',
+      offsetX: typeof options.offsetX === 'number' ? options.offsetX : (anchor.offsetX || 0),
+      offsetY: typeof options.offsetY === 'number' ? options.offsetY : (anchor.offsetY || 0)
+    };
+  }
+  
+  /**
+   * Per-glyph advances for a horizontal line with tracking applied.
+   * Width runs from the first glyph's origin to the last glyph's advance.
+   */
+  measureLine(line, fontSize, fontFamily, ctx) {
+    const measurer = this.resolveMeasurer(ctx);
+    const letterSpacing = fontSize * this.config.tracking;
+    const glyphs = [];
+    let offset = 0;
+
+    Array.from(String(line)).forEach((char, i) => {
+      if (i > 0) offset += letterSpacing;
+      const width = measurer.measure(char, fontSize, fontFamily).width;
+      glyphs.push({ char, offset, width });
+      offset += width;
+    });
+
+    return { width: offset, letterSpacing, glyphs };
+  }
+  
   /**
    * Empty layout
    */
-  createEmptyLayout(orientation = 'horizontal') {
-    const textArea = this.getTextArea(orientation);
+  createEmptyLayout(orientation = 'horizontal', placement = this.config.defaultPlacement) {
+    const textArea = this.getTextArea(orientation, placement);
     
     return {
       fits: true,
@@ -348,9 +867,10 @@ cleanTextForVertical(text) {
       lineHeight: 0,
       totalHeight: 0,
       textArea: textArea,
-      printArea: this.config.canvasMapping[orientation],
+      printArea: this.getPlacement(placement).canvas,
       metadata: { 
         empty: true,
+        placement: textArea.placement,
         orientation: orientation
       }
     };
@@ -359,17 +879,318 @@ cleanTextForVertical(text) {
   /**
    * Get boundaries for visual guides
    */
-  getPrintAreaBounds(orientation = 'horizontal') {
-    const textArea = this.getTextArea(orientation);
+  getPrintAreaBounds(orientation = 'horizontal', placement = this.config.defaultPlacement) {
+    const textArea = this.getTextArea(orientation, placement);
+    const { name, label, canvas, printArea } = this.getPlacement(placement);
     
     return {
-      outer: this.config.canvasMapping[orientation],
+      outer: canvas,
       inner: textArea,
+      placement: name,
+      label,
       printDimensions: {
-        widthInches: this.config.printArea.widthInches,
-        heightInches: this.config.printArea.heightInches
+        widthInches: printArea.widthInches,
+        heightInches: printArea.heightInches,
+        dpi: printArea.dpi
+      }
+    };
+  }
+  
+  /**
+   * Re-run a preview layout at print resolution (placement width/height × DPI).
+   * Same lines and alignment; the placement's canvas rectangle maps to a
+   * transparent print canvas whose origin is (0, 0).
+   * options.maxPixels caps width × height (browser canvas area limits); the
+   * DPI is lowered to fit and reported in metadata.printPixels.
+   */
+  createPrintLayout(layout, ctx, options = {}) {
+    if (!layout || layout.metadata.empty) return null;
+    
+    const measurer = this.resolveMeasurer(ctx);
+    const orientation = layout.metadata.orientation || 'horizontal';
+    const placement = this.getPlacement(layout.metadata.placement);
+    const { canvas, printArea } = placement;
+    const fullArea = printArea.widthInches * printArea.heightInches * printArea.dpi ** 2;
+    const dpi = options.maxPixels && fullArea > options.maxPixels
+      ? Math.floor(printArea.dpi * Math.sqrt(options.maxPixels / fullArea))
+      : printArea.dpi;
+    const width = Math.round(printArea.widthInches * dpi);
+    const height = Math.round(printArea.heightInches * dpi);
+    
+    // uniform scale, centered on the axis with spare room
+    const scale = Math.min(width / canvas.width, height / canvas.height);
+    const originX = (width - canvas.width * scale) / 2;
+    const originY = (height - canvas.height * scale) / 2;
+    const textArea = {
+      ...layout.textArea,
+      x: originX + (layout.textArea.x - canvas.x) * scale,
+      y: originY + (layout.textArea.y - canvas.y) * scale,
+      width: layout.textArea.width * scale,
+      height: layout.textArea.height * scale
+    };
+    
+    const fontSize = layout.fontSize * scale;
+    const lineHeight = layout.lineHeight * scale;
+    const fontFamily = layout.fontFamily || 'Arial';
+    const alignment = layout.metadata.alignment || this.resolveAlignment(orientation, { placement: placement.name });
+    const positions = this.calculatePositions(
+      layout.lines, fontSize, fontFamily, lineHeight, measurer, orientation, textArea, alignment
+    );
+    
+    return {
+      ...layout,
+      positions,
+      fontSize,
+      lineHeight,
+      totalHeight: layout.lines.length * lineHeight,
+      textArea,
+      printArea: { x: 0, y: 0, width, height },
+      metadata: {
+        ...layout.metadata,
+        printScale: scale,
+        printPixels: { width, height, dpi }
+      }
+    };
+  }
+  
+  /**
+   * Draw a layout onto any 2D context (preview canvas, offscreen print canvas, node-canvas)
+   */
+  drawLayout(ctx, layout, options = {}) {
+    ctx.fillStyle = options.fill || '#000000';
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'alphabetic';
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.font = `${layout.fontSize}px ${layout.fontFamily || 'Arial'}`;
+
+    layout.positions.forEach((position) => {
+      if (position.glyphs) {
+        // tracked horizontal line: per-glyph x
+        const y = Math.round(position.y);
+        position.glyphs.forEach((glyph) => ctx.fillText(glyph.char, glyph.x, y));
+      } else if (this.hasGlyphTransform(position)) {
+        // vertical glyph with rotation / offset / tate-chu-yoko
+        this.drawTransformedGlyph(ctx, position, layout.fontSize);
+      } else {
+        // normal rendering (vertical or 1-char line)
+        ctx.fillText(position.line, Math.round(position.x), Math.round(position.y));
+      }
+    });
+  }
+  
+  hasGlyphTransform(position) {
+    return Boolean(position.rotation || position.offsetX || position.offsetY || position.tateChuYoko);
+  }
+  
+  // Draw one vertical cell applying its rotation/offset info
+  drawTransformedGlyph(ctx, position, fontSize) {
+    ctx.save();
+    
+    if (position.rotation) {
+      // rotate around the center of the em cell
+      ctx.translate(position.x + fontSize / 2, position.y - fontSize * 0.38);
+      ctx.rotate(position.rotation);
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'middle';
+      ctx.fillText(position.line, 0, 0);
+    } else if (position.tateChuYoko) {
+      // horizontal run centered in a single cell
+      ctx.translate(position.x + fontSize / 2, position.y);
+      ctx.scale(position.scaleX || 1, 1);
+      ctx.textAlign = 'center';
+      ctx.fillText(position.line, 0, 0);
+    } else {
+      ctx.fillText(
+        position.line,
+        Math.round(position.x + (position.offsetX || 0)),
+        Math.round(position.y + (position.offsetY || 0))
+      );
+    }
+    
+    ctx.restore();
+  }
+  
+  /**
+   * Fields of a _design_params blob that define the design (fingerprint input)
+   */
+  getDesignIdentity(params) {
+    const alignment = params.alignment || {};
+    return {
+      schemaVersion: params.schemaVersion || 1,
+      engineVersion: params.engineVersion || null,
+      originalText: params.originalText || '',
+      translatedText: params.translatedText || '',
+      fontStyle: params.fontStyle || '',
+      fontFamily: params.fontFamily || '',
+      fontColor: String(params.fontColor || '').toUpperCase(),
+      maxFontSize: Number(params.maxFontSize) || this.config.baseFontSize,
+      orientation: params.orientation || 'horizontal',
+      placement: params.placement || this.config.defaultPlacement,
+      alignment: {
+        anchor: alignment.anchor || null,
+        align: alignment.align || null,
+        verticalAlign: alignment.verticalAlign || null,
+        offsetX: alignment.offsetX || 0,
+        offsetY: alignment.offsetY || 0
+      }
+    };
+  }
+  
+  /**
+   * Stable hash of a design (same inputs → same fingerprint across sessions/browsers)
+   */
+  getDesignFingerprint(params) {
+    return TextLayoutEngine.hashString(JSON.stringify(this.getDesignIdentity(params)));
+  }
+  
+  /**
+   * Re-create the layout described by a _design_params blob (object or JSON string).
+   * metadata.designCheck reports fingerprint / engine version / font size agreement.
+   */
+  layoutFromDesignParams(params, ctx) {
+    const design = typeof params === 'string' ? JSON.parse(params) : params;
+    if (!design || !design.translatedText) {
+      throw new Error('Design params missing translatedText');
+    }
+    
+    const identity = this.getDesignIdentity(design);
+    const alignment = design.alignment || {};
+    const layout = this.fitText(
+      identity.translatedText,
+      identity.maxFontSize,
+      identity.fontFamily || identity.fontStyle || 'Arial',
+      ctx,
+      identity.orientation,
+      {
+        placement: identity.placement,
+        anchor: alignment.anchor || undefined,
+        align: alignment.align,
+        verticalAlign: alignment.verticalAlign,
+        offsetX: alignment.offsetX,
+        offsetY: alignment.offsetY
       }
+    );
+    
+    layout.metadata.designCheck = {
+      fingerprint: this.getDesignFingerprint(design),
+      fingerprintMatches: !design.fingerprint || design.fingerprint === this.getDesignFingerprint(design),
+      engineVersionMatches: identity.engineVersion === TextLayoutEngine.VERSION,
+      fontSizeMatches: !design.actualFontSize || Math.abs(design.actualFontSize - layout.fontSize) < 0.01
     };
+    
+    return layout;
+  }
+  
+  /**
+   * Reproduce the canvas of a _design_params blob on `ctx` (reorders, admin previews, regression checks)
+   */
+  renderDesignParams(params, ctx) {
+    const design = typeof params === 'string' ? JSON.parse(params) : params;
+    const layout = this.layoutFromDesignParams(design, ctx);
+    
+    ctx.clearRect(0, 0, design.canvasWidth || this.canvasWidth, design.canvasHeight || this.canvasHeight);
+    this.drawLayout(ctx, layout, { fill: design.fontColor });
+    return layout;
+  }
+  
+  /**
+   * Characters used by a layout (for requesting a font subset)
+   */
+  getUsedCharacters(layout) {
+    const chars = new Set();
+    (layout?.lines || []).forEach((line) => Array.from(line).forEach((char) => chars.add(char)));
+    return Array.from(chars).join('');
+  }
+  
+  /**
+   * Resolution-independent SVG of a layout (preview or createPrintLayout result).
+   * options:
+   *  - fill           text color (default #000000)
+   *  - fontFace       { family, src } embedded as @font-face (e.g. a subset data URL)
+   *  - glyphOutliner  (char, fontSize, fontFamily) => SVG path data for the glyph
+   *                   drawn at origin/baseline; when given, text is emitted as outlines
+   */
+  exportSVG(layout, options = {}) {
+    if (!layout || layout.metadata.empty) return null;
+    
+    const placement = this.getPlacement(layout.metadata.placement);
+    const area = layout.printArea;
+    const fill = options.fill || '#000000';
+    const fontFamily = options.fontFace ? options.fontFace.family : (layout.fontFamily || 'Arial');
+    const fontSize = layout.fontSize;
+    const num = (value) => Math.round(value * 100) / 100;
+    
+    const elements = this.getSvgGlyphPlacements(layout).map((glyph) => {
+      const x = num(glyph.x - area.x);
+      const y = num(glyph.y - area.y);
+      const transforms = [`translate(${x} ${y})`];
+      if (glyph.rotation) transforms.push(`rotate(${num(glyph.rotation * 180 / Math.PI)})`);
+      if (glyph.scaleX && glyph.scaleX !== 1) transforms.push(`scale(${num(glyph.scaleX)} 1)`);
+      
+      if (options.glyphOutliner) {
+        // outlines are drawn from the glyph origin; shift centered glyphs by half their advance
+        if (glyph.anchor === 'middle') transforms.push(`translate(${num(-glyph.width / 2)} ${glyph.baseline === 'central' ? num(fontSize * 0.38) : 0})`);
+        const d = options.glyphOutliner(glyph.char, fontSize, layout.fontFamily);
+        return `<path transform="${transforms.join(' ')}" d="${d}"/>`;
+      }
+      
+      const anchor = glyph.anchor === 'middle' ? ' text-anchor="middle"' : '';
+      const baseline = glyph.baseline === 'central' ? ' dominant-baseline="central"' : '';
+      return `<text transform="${transforms.join(' ')}"${anchor}${baseline}>${this.escapeXml(glyph.char)}</text>`;
+    });
+    
+    // physical size: print layouts carry their DPI; preview layouts map each
+    // axis of the placement's canvas rectangle onto its print area (the
+    // rectangles differ in aspect, so one ratio would misstate the height)
+    const printPixels = layout.metadata.printPixels;
+    const { canvas, printArea } = placement;
+    const widthInches = printPixels ? area.width / printPixels.dpi : area.width * (printArea.widthInches / canvas.width);
+    const heightInches = printPixels ? area.height / printPixels.dpi : area.height * (printArea.heightInches / canvas.height);
+    const style = options.fontFace
+      ? `<style>@font-face{font-family:"${this.escapeXml(options.fontFace.family)}";src:url("${options.fontFace.src}");}</style>`
+      : '';
+    
+    return [
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${num(widthInches)}in" height="${num(heightInches)}in" viewBox="0 0 ${num(area.width)} ${num(area.height)}">`,
+      style,
+      `<g fill="${this.escapeXml(fill)}" font-family="${this.escapeXml(fontFamily)}" font-size="${num(fontSize)}">`,
+      ...elements,
+      '</g>',
+      '</svg>'
+    ].join('');
+  }
+  
+  /**
+   * Flatten layout positions into per-glyph SVG placements
+   */
+  getSvgGlyphPlacements(layout) {
+    const fontSize = layout.fontSize;
+    const glyphs = [];
+    
+    layout.positions.forEach((pos) => {
+      if (pos.glyphs) {
+        pos.glyphs.forEach((g) => glyphs.push({ char: g.char, x: g.x, y: pos.y, width: g.width }));
+      } else if (pos.rotation) {
+        glyphs.push({
+          char: pos.line, x: pos.x + fontSize / 2, y: pos.y - fontSize * 0.38, width: pos.width,
+          rotation: pos.rotation, anchor: 'middle', baseline: 'central'
+        });
+      } else if (pos.tateChuYoko) {
+        glyphs.push({ char: pos.line, x: pos.x + fontSize / 2, y: pos.y, width: pos.width, scaleX: pos.scaleX, anchor: 'middle' });
+      } else {
+        glyphs.push({ char: pos.line, x: pos.x + (pos.offsetX || 0), y: pos.y + (pos.offsetY || 0), width: pos.width });
+      }
+    });
+    
+    return glyphs;
+  }
+  
+  escapeXml(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
   }
   
   /**
@@ -381,45 +1202,139 @@ cleanTextForVertical(text) {
     }
     
     const orientation = layout.metadata.orientation || 'horizontal';
+    const placement = this.getPlacement(layout.metadata.placement);
+    const { canvas } = placement;
     
     return {
+      placement: placement.name,
       printArea: {
-        width: this.config.printArea.widthInches,
-        height: this.config.printArea.heightInches,
-        dpi: this.config.printArea.dpi
+        width: placement.printArea.widthInches,
+        height: placement.printArea.heightInches,
+        dpi: placement.printArea.dpi
       },
       textElements: layout.positions.map((pos) => ({
         text: pos.line,
-        x: this.pixelsToInches(pos.x - this.config.canvasMapping[orientation].x),
-        y: this.pixelsToInches(pos.y - this.config.canvasMapping[orientation].y),
-        fontSize: this.pixelsToPoints(layout.fontSize),
+        x: this.pixelsToInches(pos.x - canvas.x, placement.name),
+        y: this.pixelsToInchesY(pos.y - canvas.y, placement.name),
+        fontSize: this.pixelsToPoints(layout.fontSize, placement.name),
         fontFamily: layout.fontFamily || 'Arial',
-        width: this.pixelsToInches(pos.width),
-        height: this.pixelsToInches(pos.height)
+        letterSpacing: this.pixelsToPoints(pos.letterSpacing || 0, placement.name),
+        rotation: pos.rotation || 0,
+        width: this.pixelsToInches(pos.width, placement.name),
+        height: this.pixelsToInchesY(pos.height, placement.name)
       })),
       metadata: {
-        exactCoordinates: this.config.canvasMapping[orientation],
+        placement: placement.name,
+        exactCoordinates: canvas,
         totalLines: layout.lines.length,
         fontSize: layout.fontSize,
         baseFontSize: layout.metadata.baseFontSize,
+        alignment: layout.metadata.alignment || this.resolveAlignment(orientation),
         orientation: orientation
       }
     };
   }
   
-  pixelsToInches(pixels) {
-  // derive from our preview canvas and print area
-  // canvas width: 600px → print width: 12in  =>  pxToIn = 12 / 600 = 0.02
-  const pxToIn = this.config.printArea.widthInches / this.canvasWidth;
+  pixelsToInches(pixels, placement = this.config.defaultPlacement) {
+  // derive from the placement's canvas rectangle and physical print area
+  // front: 200px → 12in  =>  pxToIn = 12 / 200 = 0.06
+  const { canvas, printArea } = this.getPlacement(placement);
+  const pxToIn = printArea.widthInches / canvas.width;
   return pixels * pxToIn;
 }
 
-pixelsToPoints(pixels) {
-  return pixels * (72 / 96);
+// vertical counterpart: placements whose canvas and print area differ in aspect scale y separately
+pixelsToInchesY(pixels, placement = this.config.defaultPlacement) {
+  const { canvas, printArea } = this.getPlacement(placement);
+  return pixels * (printArea.heightInches / canvas.height);
+}
+
+pixelsToPoints(pixels, placement = this.config.defaultPlacement) {
+  return this.pixelsToInches(pixels, placement) * 72;
 }
 
 } // <-- close class TextLayoutEngine here
 
+/**
+ * Text measurer backed by a 2D context (browser canvas or node-canvas)
+ */
+class CanvasTextMeasurer {
+  constructor(ctx) {
+    this.ctx = ctx;
+  }
+  
+  measure(text, fontSize, fontFamily) {
+    this.ctx.font = `${fontSize}px ${fontFamily}`;
+    return this.ctx.measureText(String(text));
+  }
+}
+
+/**
+ * Headless text measurer: advances and bounds estimated from a per-font metrics
+ * table (em units). CJK is full-width; Latin uses each font's average advance.
+ */
+class FontMetricsMeasurer {
+  constructor(metrics = FontMetricsMeasurer.defaultMetrics) {
+    this.metrics = metrics;
+  }
+  
+  getFontMetrics(fontFamily) {
+    const name = String(fontFamily || '').split(',')[0].replace(/['"]/g, '').trim();
+    return this.metrics[name] || this.metrics.default;
+  }
+  
+  getAdvance(char, font) {
+    if (/\s/.test(char)) return font.space;
+    if (/[\uff61-\uff9f]/.test(char)) return 0.5;   // half-width katakana
+    if (/[\u3000-\u30ff\u31f0-\u31ff\u3400-\u9fff\uf900-\ufaff\uff00-\uffef]/.test(char)) return 1;
+    if (/\d/.test(char)) return font.digit;
+    return font.latin;
+  }
+  
+  measure(text, fontSize, fontFamily) {
+    const font = this.getFontMetrics(fontFamily);
+    const width = Array.from(String(text))
+      .reduce((sum, char) => sum + this.getAdvance(char, font), 0) * fontSize;
+    
+    return {
+      width,
+      actualBoundingBoxLeft: 0,
+      actualBoundingBoxRight: width,
+      actualBoundingBoxAscent: fontSize * font.ascent,
+      actualBoundingBoxDescent: fontSize * font.descent
+    };
+  }
+}
+
+FontMetricsMeasurer.defaultMetrics = {
+  'Yuji Syuku':       { ascent: 0.88, descent: 0.12, latin: 0.55, digit: 0.55, space: 0.25 },
+  'Shippori Antique': { ascent: 0.88, descent: 0.12, latin: 0.56, digit: 0.56, space: 0.25 },
+  'Huninn':           { ascent: 0.86, descent: 0.14, latin: 0.58, digit: 0.58, space: 0.26 },
+  'Rampart One':      { ascent: 0.9,  descent: 0.14, latin: 0.62, digit: 0.6,  space: 0.28 },
+  'Cherry Bomb One':  { ascent: 0.9,  descent: 0.15, latin: 0.65, digit: 0.62, space: 0.3 },
+  default:            { ascent: 0.88, descent: 0.12, latin: 0.6,  digit: 0.56, space: 0.28 }
+};
+
+TextLayoutEngine.VERSION = TLE_VERSION;
+TextLayoutEngine.DESIGN_SCHEMA_VERSION = 1;
+
+// cyrb53: fast, stable 53-bit string hash (hex)
+TextLayoutEngine.hashString = function hashString(str, seed = 0) {
+  let h1 = 0xdeadbeef ^ seed;
+  let h2 = 0x41c6ce57 ^ seed;
+  for (let i = 0; i < str.length; i++) {
+    const ch = str.charCodeAt(i);
+    h1 = Math.imul(h1 ^ ch, 2654435761);
+    h2 = Math.imul(h2 ^ ch, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16).padStart(14, '0');
+};
+
+TextLayoutEngine.CanvasTextMeasurer = CanvasTextMeasurer;
+TextLayoutEngine.FontMetricsMeasurer = FontMetricsMeasurer;
+
 // Export
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = TextLayoutEngine;
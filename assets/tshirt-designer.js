@@ -5,20 +5,340 @@
  * Keeps all existing functionality:
  *  - Translation flow
  *  - Auto-scaling layout via TextLayoutEngine (40px base)
- *  - Persistent print guides
+ *  - Toggleable print guides (separate overlay layer, never exported)
  *  - Variant, price, quantity handling
  *  - Form guards + errors
+ *  - Design persisted per product (localStorage), restored on init, "Start over" clears it
+ *  - Undo/redo of design changes (buttons + Ctrl/Cmd+Z, Ctrl/Cmd+Shift+Z / Ctrl+Y)
+ *  - Shareable design links (#design=…) fed to the section's share-button
+ *  - Pluggable translation provider (section setting / window.tshirtTranslationProvider)
+ *    with an offline romaji → katakana fallback
+ *  - Translation candidates (katakana / hiragana / kanji) with readings; the
+ *    chosen kind is recorded in _design_params
+ *  - Manual Japanese entry (IME-aware) straight into state.translatedText, with a
+ *    per-character renderability check gating Add to Cart
+ *  - Glyph coverage per font: font cards that can't print the text are greyed
+ *    out and the combination can't be added to the cart
+ *  - Font color limited to the section's print-ink palette; contrast-aware
+ *    default per shirt color and a low-contrast warning
+ *  - "My designs": logged-in customers save designs (params + thumbnail) to a
+ *    design library (assets/design-library.js); ?design_id= loads one back
  *
  * Writes/refreshes the following line-item properties:
  *  - properties[_design_data]           (metadata blob)
  *  - properties[_layout_snapshot]       (precise layout snapshot)
- *  - properties[_preview_data_url]      (PNG of the canvas only)
- *  - properties[_preview_mockup_url]    (PNG of shirt + canvas overlay)
+ *  - properties[_print_file]            (uploaded print-resolution PNG reference; on submit)
+ *  - properties[_print_file_dpi]        (DPI of that PNG; lowered only where the browser can't allocate 300 DPI)
+ *  - properties[_print_file_status]     (set when the print file is missing or only the preview)
+ *  - properties[_preview_mockup_url]    (uploaded shirt + text mockup reference; on submit)
  */
 
 console.log('[TSD v2025-09-16-b] loaded');
 
 
+/**
+ * Default asset uploader: multipart POST of one image to the section's upload
+ * URL, which answers JSON { url, id }. Any object with the same
+ * `upload(blob, meta)` shape can replace it via window.tshirtAssetUploader.
+ */
+class HttpAssetUploader {
+  constructor(url) {
+    this.url = url;
+  }
+
+  async upload(blob, meta = {}) {
+    const body = new FormData();
+    body.append('file', blob, `${meta.kind || 'design'}.png`);
+    body.append('kind', meta.kind || 'design');
+
+    const response = await fetch(this.url, { method: 'POST', body });
+    if (!response.ok) throw new Error(`Upload failed (${response.status})`);
+    return response.json();
+  }
+}
+
+/**
+ * Undo/redo stack of design-state snapshots (never canvas pixels). Each entry
+ * keeps the state before and after one user action; consecutive entries with
+ * the same mergeKey inside mergeWindowMs collapse into one (e.g. typing).
+ */
+class DesignHistory {
+  constructor(limit = 50, mergeWindowMs = 1000) {
+    this.limit = limit;
+    this.mergeWindowMs = mergeWindowMs;
+    this.undoStack = [];
+    this.redoStack = [];
+  }
+
+  record(label, before, after, mergeKey = null) {
+    if (JSON.stringify(before) === JSON.stringify(after)) return false;
+
+    const now = Date.now();
+    const last = this.undoStack[this.undoStack.length - 1];
+    if (mergeKey && last && last.mergeKey === mergeKey && now - last.time < this.mergeWindowMs) {
+      last.after = after;
+      last.time = now;
+    } else {
+      this.undoStack.push({ label, before, after, mergeKey, time: now });
+      if (this.undoStack.length > this.limit) this.undoStack.shift();
+    }
+
+    this.redoStack = [];
+    return true;
+  }
+
+  undo() {
+    const entry = this.undoStack.pop();
+    if (entry) this.redoStack.push(entry);
+    return entry || null;
+  }
+
+  redo() {
+    const entry = this.redoStack.pop();
+    if (entry) this.undoStack.push(entry);
+    return entry || null;
+  }
+
+  canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  clear() {
+    this.undoStack = [];
+    this.redoStack = [];
+  }
+}
+
+/**
+ * Translation failure with a type the UI can explain:
+ * 'network' (offline, timeout), 'rate-limit' (429), 'server' (5xx) or
+ * 'validation' (input rejected). retryAfterMs comes from Retry-After.
+ */
+class TranslationError extends Error {
+  constructor(message, { type = 'network', status = null, retryAfterMs = null } = {}) {
+    super(message);
+    this.name = 'TranslationError';
+    this.type = type;
+    this.status = status;
+    this.retryAfterMs = retryAfterMs;
+  }
+
+  // Type of any error a provider may throw (plain Errors carry at most a status)
+  static classify(error) {
+    if (error instanceof TranslationError) return error.type;
+    if (!error || !error.status) return 'network';
+    if (error.status === 429) return 'rate-limit';
+    return error.status >= 500 ? 'server' : 'validation';
+  }
+}
+
+/**
+ * Keeps the most recently used `limit` entries (Map preserves insertion order)
+ */
+class LruCache {
+  constructor(limit = 50) {
+    this.limit = limit;
+    this.map = new Map();
+  }
+
+  get(key) {
+    if (!this.map.has(key)) return undefined;
+    const value = this.map.get(key);
+    this.map.delete(key);
+    this.map.set(key, value);
+    return value;
+  }
+
+  set(key, value) {
+    this.map.delete(key);
+    this.map.set(key, value);
+    if (this.map.size > this.limit) this.map.delete(this.map.keys().next().value);
+  }
+}
+
+/**
+ * Default translation provider: POST { text, alternatives } to the section's
+ * translate endpoint, which answers { success, translations | translation }.
+ * Any object with the same `translate(text, options)` shape can replace it via
+ * window.tshirtTranslationProvider (e.g. MockTranslationProvider in tests).
+ * Failed requests throw a TranslationError; options.signal cancels the request.
+ */
+class HttpTranslationProvider {
+  constructor(url) {
+    this.url = url;
+  }
+
+  async translate(text, options = {}) {
+    let response;
+    try {
+      response = await fetch(this.url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ text, alternatives: options.alternatives }),
+        signal: options.signal
+      });
+    } catch (err) {
+      if (err.name === 'AbortError') throw err;
+      throw new TranslationError(`Translation service unreachable: ${err.message}`, { type: 'network' });
+    }
+
+    if (!response.ok) {
+      const status = response.status;
+      const body = await response.json().catch(() => ({}));
+      if (status === 429) {
+        const retryAfter = parseInt(response.headers.get('Retry-After'), 10);
+        throw new TranslationError('Translation rate limit reached', {
+          type: 'rate-limit',
+          status,
+          retryAfterMs: Number.isFinite(retryAfter) ? retryAfter * 1000 : null
+        });
+      }
+      throw new TranslationError(body.error || `Translation failed (${status})`, {
+        type: status >= 500 ? 'server' : 'validation',
+        status
+      });
+    }
+    return response.json();
+  }
+}
+
+// Hepburn-style romaji → katakana, longest match first
+const ROMAJI_KATAKANA = {
+  a: 'ア', i: 'イ', u: 'ウ', e: 'エ', o: 'オ',
+  ka: 'カ', ki: 'キ', ku: 'ク', ke: 'ケ', ko: 'コ', kya: 'キャ', kyu: 'キュ', kyo: 'キョ',
+  ga: 'ガ', gi: 'ギ', gu: 'グ', ge: 'ゲ', go: 'ゴ', gya: 'ギャ', gyu: 'ギュ', gyo: 'ギョ',
+  sa: 'サ', si: 'シ', shi: 'シ', su: 'ス', se: 'セ', so: 'ソ', sha: 'シャ', shu: 'シュ', she: 'シェ', sho: 'ショ',
+  za: 'ザ', zi: 'ジ', zu: 'ズ', ze: 'ゼ', zo: 'ゾ',
+  ja: 'ジャ', ji: 'ジ', ju: 'ジュ', je: 'ジェ', jo: 'ジョ', jya: 'ジャ', jyu: 'ジュ', jyo: 'ジョ',
+  ta: 'タ', ti: 'ティ', tu: 'ツ', tsu: 'ツ', te: 'テ', to: 'ト',
+  chi: 'チ', cha: 'チャ', chu: 'チュ', che: 'チェ', cho: 'チョ',
+  da: 'ダ', di: 'ディ', du: 'ドゥ', de: 'デ', do: 'ド',
+  na: 'ナ', ni: 'ニ', nu: 'ヌ', ne: 'ネ', no: 'ノ', nya: 'ニャ', nyu: 'ニュ', nyo: 'ニョ',
+  ha: 'ハ', hi: 'ヒ', hu: 'フ', fu: 'フ', he: 'ヘ', ho: 'ホ', hya: 'ヒャ', hyu: 'ヒュ', hyo: 'ヒョ',
+  fa: 'ファ', fi: 'フィ', fe: 'フェ', fo: 'フォ',
+  ba: 'バ', bi: 'ビ', bu: 'ブ', be: 'ベ', bo: 'ボ', bya: 'ビャ', byu: 'ビュ', byo: 'ビョ',
+  pa: 'パ', pi: 'ピ', pu: 'プ', pe: 'ペ', po: 'ポ', pya: 'ピャ', pyu: 'ピュ', pyo: 'ピョ',
+  va: 'ヴァ', vi: 'ヴィ', vu: 'ヴ', ve: 'ヴェ', vo: 'ヴォ',
+  ma: 'マ', mi: 'ミ', mu: 'ム', me: 'メ', mo: 'モ', mya: 'ミャ', myu: 'ミュ', myo: 'ミョ',
+  ya: 'ヤ', yu: 'ユ', ye: 'イェ', yo: 'ヨ',
+  ra: 'ラ', ri: 'リ', ru: 'ル', re: 'レ', ro: 'ロ', rya: 'リャ', ryu: 'リュ', ryo: 'リョ',
+  la: 'ラ', li: 'リ', lu: 'ル', le: 'レ', lo: 'ロ',
+  wa: 'ワ', wi: 'ウィ', we: 'ウェ', wo: 'ウォ',
+  ca: 'カ', ci: 'シ', cu: 'ク', ce: 'セ', co: 'コ',
+  tha: 'サ', thi: 'シ', thu: 'ス', the: 'セ', tho: 'ソ', th: 'ス',
+  // consonants with no vowel (English spellings): closest katakana syllable
+  b: 'ブ', c: 'ク', d: 'ド', f: 'フ', g: 'グ', h: 'フ', j: 'ジ', k: 'ク', l: 'ル', m: 'ム',
+  p: 'プ', q: 'ク', r: 'ル', s: 'ス', t: 'ト', v: 'ヴ', w: 'ウ', x: 'クス', y: 'イ', z: 'ズ'
+};
+
+/**
+ * Offline provider: phonetic katakana spelling of romaji / Latin text. Used
+ * when the remote service is down or rate-limited; same shape as the others.
+ */
+class RomajiTransliterator {
+  transliterate(text) {
+    return String(text)
+      .toLowerCase()
+      .split(/\s+/)
+      .map((word) => this.transliterateWord(word.replace(/[^a-z'-]/g, '')))
+      .filter(Boolean)
+      .join('・');
+  }
+
+  transliterateWord(raw) {
+    // English spellings: "ck" → kk (Nick), "ph" → f, Greek "ch" → k (Chris, Michael),
+    // final "ch" → chi, final consonant + y → long i (Emily), other consonant + y → i,
+    // silent h after a vowel (John, Sarah), r before a consonant lengthens the vowel (Mark, world)
+    const word = raw
+      .replace(/ck/g, 'kk')
+      .replace(/ph/g, 'f')
+      .replace(/ch(?=[^aiueo'-]|ae)/g, 'k')
+      .replace(/ch$/, 'chi')
+      .replace(/([^aiueo])y$/, '$1i-')
+      .replace(/([^aiueo])y(?![aiueo])/g, '$1i')
+      .replace(/([aiueo])h(?![aiueoy])/g, '$1')
+      .replace(/([aiueo])r(?=[^aiueoyr'-])/g, '$1-');
+    let out = '';
+    let i = 0;
+
+    while (i < word.length) {
+      const ch = word[i];
+      const next = word[i + 1];
+
+      if (ch === '-') {
+        out += 'ー';
+        i += 1;
+      } else if (ch === "'") {
+        i += 1;
+      } else if (ch === 'n' && (!next || next === "'" || !/[aiueoy]/.test(next))) {
+        // syllabic n (before a consonant, apostrophe or at the end)
+        out += 'ン';
+        i += next === "'" ? 2 : 1;
+      } else if (next === ch && /[kstpcdgbfjz]/.test(ch) && /^(h?[aiueo]|y)/.test(word.slice(i + 2))) {
+        // doubled consonant → small tsu (kitte, zasshi)
+        out += 'ッ';
+        i += 1;
+      } else if (next === ch && /[ktpcdg]/.test(ch) && !word[i + 2]) {
+        // final doubled stop keeps its tsu (Scott, Todd)
+        out += 'ッ';
+        i += 1;
+      } else if (next === ch && /[bcdfghjklmpqrstvwxz]/.test(ch)) {
+        // any other doubled consonant reads as one (Hello, Emma, Harry)
+        i += 1;
+      } else if (word.startsWith('tch', i)) {
+        out += 'ッ';
+        i += 1;
+      } else {
+        const length = [3, 2, 1].find((n) => ROMAJI_KATAKANA[word.substr(i, n)]);
+        out += length ? ROMAJI_KATAKANA[word.substr(i, length)] : '';
+        i += length || 1;
+      }
+    }
+
+    return out;
+  }
+
+  async translate(text) {
+    const katakana = this.transliterate(text);
+    if (!katakana) return { success: false, error: 'Nothing to transliterate' };
+    return { success: true, translations: [{ text: katakana, kind: 'katakana', reading: '', romaji: String(text).trim() }] };
+  }
+}
+
+/**
+ * Stand-in provider for tests and local development: canned answers per input
+ * (`{ text: translations[] }`), optional latency and failure status, and the
+ * transliterator for anything else.
+ */
+class MockTranslationProvider {
+  constructor(responses = {}, options = {}) {
+    this.responses = responses;
+    this.delayMs = options.delayMs || 0;
+    this.failWithStatus = options.failWithStatus || null;
+    this.calls = [];
+  }
+
+  async translate(text, options = {}) {
+    this.calls.push({ text, options });
+    if (this.delayMs) await new Promise((resolve) => setTimeout(resolve, this.delayMs));
+
+    if (this.failWithStatus) {
+      const status = this.failWithStatus;
+      throw new TranslationError(`Translation failed (${status})`, {
+        type: TranslationError.classify({ status }),
+        status
+      });
+    }
+
+    const canned = this.responses[text.toLowerCase()];
+    return canned ? { success: true, translations: canned } : new RomajiTransliterator().translate(text);
+  }
+}
+
 class TShirtDesigner {
   constructor() {
     this.container = document.querySelector('.minimalist-tshirt-designer');
@@ -28,11 +348,37 @@ class TShirtDesigner {
     }
 
     this.config = {
-      translationApiUrl: 'https://tshirt-api.vercel.app/api/translate',
+      translation: {
+        url: this.container.dataset.translationApiUrl || 'https://tshirt-api.vercel.app/api/translate',
+        offlineFallback: this.container.dataset.translationFallback !== 'false',
+        timeoutMs: 8000,
+        retries: 2,
+        retryDelayMs: 500,
+        cacheSize: 50
+      },
+      assetUpload: {
+        url: this.container.dataset.assetUploadUrl || '',
+        retries: 2,
+        retryDelayMs: 500
+      },
+      printMaxPixels: 16777216, // fallback cap when full-size fails: iOS Safari canvas area limit (4096²)
+      designLibrary: {
+        url: this.container.dataset.designLibraryUrl || '',
+        customerId: this.container.dataset.customerId || ''
+      },
+      storage: {
+        key: `tshirt-design:${this.container.dataset.productId || window.location.pathname}`,
+        maxAgeMs: 30 * 24 * 60 * 60 * 1000 // stale designs are dropped after 30 days
+      },
+      minContrast: 3, // WCAG ratio for large text/graphics; below this we warn
       maxTextLength: 16,
+      maxTranslatedLength: 64,
+      maxJapaneseLength: 20, // manual entry
       canvasWidth: 600,
       canvasHeight: 600,
-      baseFontSize: 40, // fixed starting size; engine will scale as needed
+      baseFontSize: 40, // default maximum size; engine will scale down as needed
+      fontSizePresets: { small: 28, medium: 40, large: 52 },
+      fontSizeRange: { min: 16, max: 56 },
       fontFamilies: {
         'Yuji Syuku': 'Yuji Syuku, serif',
         'Shippori Antique': 'Shippori Antique, serif',
@@ -45,9 +391,19 @@ class TShirtDesigner {
     this.state = {
       originalText: '',
       translatedText: '',
+      translationKind: null,      // 'katakana' | 'hiragana' | 'kanji' | 'other'
+      translationCandidates: [],  // [{ text, kind, reading, romaji }] from the last translation
+      translationSource: null,    // 'remote' | 'offline' (romaji transliteration fallback) | 'manual'
+      inputMode: 'translate',     // 'translate' (English → API) | 'manual' (typed Japanese)
       fontColor: '#FFFFFF',
+      fontColorChosen: false, // customer picked a color (keep it across translations/variants)
       fontStyle: 'Yuji Syuku',
+      fontSize: 'medium',  // preset key, or 'custom' when set by the slider
+      maxFontSize: 40,     // largest size the layout engine may use
       orientation: 'horizontal',
+      alignment: {},       // { anchor } or { align, verticalAlign }; empty = engine default per orientation
+      placement: 'front',  // named print placement (TextLayoutEngine config.placements)
+      showGuides: Boolean(window.showPrintGuides), // print/text area overlay (customer toggle)
       isTranslating: false,
       hasTranslation: false,
       selectedVariant: null,
@@ -56,6 +412,11 @@ class TShirtDesigner {
       actualFontSize: 40 // last computed font size used for drawing
     };
 
+    this.history = new DesignHistory();
+    this.translationCache = new LruCache(this.config.translation.cacheSize); // normalized input → provider data
+    this.pendingTranslations = new Map(); // normalized input → in-flight promise
+    this.translationController = null;
+    this.translationRequestId = 0;
     this.layoutEngine = null;
     this.initLayoutEngine();
     this.init();
@@ -82,9 +443,14 @@ class TShirtDesigner {
 
     this.setupCanvas();
     await this.loadFonts();
+    this.state.fontColor = this.getDefaultFontColor();
+    // a shared link wins over the design saved on this device
+    const restored = this.readSharedDesign() || this.restoreDesignState();
     this.setInitialDefaults();
     this.bindEvents();
     this.updateUI();
+    if (restored) await this.applyRestoredDesign(restored);
+    await this.loadLibraryDesignFromUrl();
 
     console.log('T-Shirt Designer initialized with fixed 40px base font size');
   }
@@ -102,9 +468,7 @@ class TShirtDesigner {
 
   setInitialDefaults() {
     if (this.elements.fontColorInputs) {
-      this.elements.fontColorInputs.forEach((input) => {
-        input.checked = input.value === this.state.fontColor;
-      });
+      this.syncFontColorControls();
     }
 
     if (this.elements.fontStyleInputs) {
@@ -119,8 +483,15 @@ class TShirtDesigner {
       });
     }
 
+    if (this.elements.placementInputs) {
+      this.elements.placementInputs.forEach((input) => {
+        input.checked = input.value === this.state.placement;
+      });
+    }
+
+    this.syncFontSizeControls();
     this.updateFormProperties();
-    console.log('Initial defaults set (no font size selection)');
+    console.log('Initial defaults set');
   }
 
   getElements() {
@@ -129,26 +500,51 @@ class TShirtDesigner {
       charCount: document.getElementById('char-count'),
       translateBtn: document.getElementById('translate-btn'),
       retryBtn: document.getElementById('retry-btn'),
+      startOverBtn: document.getElementById('start-over-btn'),
+      undoBtn: document.getElementById('undo-btn'),
+      redoBtn: document.getElementById('redo-btn'),
       translationDisplay: document.getElementById('translation-display'),
       japaneseResult: document.getElementById('japanese-result'),
+      translationCandidates: document.getElementById('translation-candidates'),
+      translationNote: document.getElementById('translation-note'),
+      inputModeInputs: document.querySelectorAll('input[name="input-mode"]'),
+      translateInputGroup: document.getElementById('translate-input-group'),
+      japaneseInputGroup: document.getElementById('japanese-input-group'),
+      japaneseInput: document.getElementById('japanese-input'),
+      editTranslationBtn: document.getElementById('edit-translation-btn'),
+      glyphWarning: document.getElementById('glyph-warning'),
       errorDisplay: document.getElementById('error-display'),
       errorText: document.getElementById('error-text'),
       canvas: document.getElementById('preview-canvas'),
+      guidesCanvas: document.getElementById('guides-canvas'),
+      guidesToggle: document.getElementById('show-guides-toggle'),
       mainImage: document.getElementById('main-product-image'),
       fontColorInputs: document.querySelectorAll('input[name="font-color"]'),
+      fontColorPicker: document.getElementById('font-color-picker'),
+      fontColorName: document.getElementById('font-color-name'),
+      contrastWarning: document.getElementById('contrast-warning'),
       fontStyleInputs: document.querySelectorAll('input[name="font-style"]'),
+      fontSizeInputs: document.querySelectorAll('input[name="font-size"]'),
+      fontSizeSlider: document.getElementById('font-size-slider'),
+      fontSizeValue: document.getElementById('font-size-value'),
       orientationInputs: document.querySelectorAll('input[name="text-orientation"]'),
+      placementInputs: document.querySelectorAll('input[name="print-placement"]'),
       fontPreviewTexts: document.querySelectorAll('.font-preview-text'),
       quantityInput: document.getElementById('quantity'),
       qtyBtns: document.querySelectorAll('.qty-btn'),
       form: document.getElementById('add-to-cart-form'),
       addToCartBtn: document.getElementById('add-to-cart-btn'),
+      uploadStatus: document.getElementById('upload-status'),
+      saveDesignBtn: document.getElementById('save-design-btn'),
+      saveDesignStatus: document.getElementById('save-design-status'),
       variantIdInput: document.getElementById('variant-id'),
       originalTextProp: document.getElementById('original-text-prop'),
       japaneseTextProp: document.getElementById('japanese-text-prop'),
+      fontSizeProp: document.getElementById('font-size-prop'),
       fontColorProp: document.getElementById('font-color-prop'),
       fontStyleProp: document.getElementById('font-style-prop'),
       orientationProp: document.getElementById('orientation-prop'),
+      placementProp: document.getElementById('placement-prop'),
       designParamsProp: document.getElementById('design-params-prop')
     };
 
@@ -176,10 +572,27 @@ class TShirtDesigner {
     ctx.imageSmoothingEnabled = true;
 
     this.ctx = ctx;
+    this.setupGuidesCanvas();
     this.clearCanvas();
     console.log('Canvas setup with simplified text rendering');
   }
 
+  // Overlay layer for print guides, stacked above the preview canvas
+  setupGuidesCanvas() {
+    let guides = this.elements.guidesCanvas;
+    if (!guides) {
+      guides = document.createElement('canvas');
+      guides.id = 'guides-canvas';
+      guides.className = 'preview-canvas guides-canvas';
+      this.elements.canvas.insertAdjacentElement('afterend', guides);
+      this.elements.guidesCanvas = guides;
+    }
+
+    guides.width = this.config.canvasWidth;
+    guides.height = this.config.canvasHeight;
+    this.guidesCtx = guides.getContext('2d');
+  }
+
   // Helper: create or update a hidden input on the form
   createOrUpdateHidden(name, id, value) {
     if (!this.elements.form) return null;
@@ -211,10 +624,66 @@ class TShirtDesigner {
       this.elements.retryBtn.addEventListener('click', () => this.handleTranslate());
     }
 
+    this.elements.inputModeInputs.forEach((input) =>
+      input.addEventListener('change', (e) => this.setInputMode(e.target.value))
+    );
+
+    if (this.elements.japaneseInput) {
+      const input = this.elements.japaneseInput;
+      // IME: ignore intermediate input while composing, commit on compositionend
+      input.addEventListener('compositionstart', () => { this.isComposing = true; });
+      input.addEventListener('compositionend', (e) => {
+        this.isComposing = false;
+        this.handleJapaneseInput(e);
+      });
+      input.addEventListener('input', (e) => {
+        if (!e.isComposing && !this.isComposing) this.handleJapaneseInput(e);
+      });
+    }
+
+    if (this.elements.editTranslationBtn) {
+      this.elements.editTranslationBtn.addEventListener('click', () => this.setInputMode('manual'));
+    }
+
+    // a late-loading font can turn "unsupported" glyphs into supported ones
+    if (document.fonts && document.fonts.addEventListener) {
+      document.fonts.addEventListener('loadingdone', () => {
+        this.updateFontPreviewCards();
+        this.updateAddToCartButton();
+      });
+    }
+
+    if (this.elements.startOverBtn) {
+      this.elements.startOverBtn.addEventListener('click', () => this.handleStartOver());
+    }
+
+    if (this.elements.saveDesignBtn) {
+      this.elements.saveDesignBtn.addEventListener('click', () => this.handleSaveDesign());
+    }
+
+    if (this.elements.undoBtn) {
+      this.elements.undoBtn.addEventListener('click', () => this.undo());
+    }
+
+    if (this.elements.redoBtn) {
+      this.elements.redoBtn.addEventListener('click', () => this.redo());
+    }
+
+    document.addEventListener('keydown', (e) => this.handleHistoryShortcut(e));
+
+    if (this.elements.guidesToggle) {
+      this.elements.guidesToggle.checked = this.state.showGuides;
+      this.elements.guidesToggle.addEventListener('change', (e) => this.handleGuidesToggle(e));
+    }
+
     this.elements.fontColorInputs.forEach((input) =>
       input.addEventListener('change', (e) => this.handleFontColorChange(e))
     );
 
+    if (this.elements.fontColorPicker) {
+      this.elements.fontColorPicker.addEventListener('input', (e) => this.handleFontColorPick(e));
+    }
+
     this.elements.fontStyleInputs.forEach((input) =>
       input.addEventListener('change', (e) => this.handleFontStyleChange(e))
     );
@@ -223,6 +692,18 @@ class TShirtDesigner {
       input.addEventListener('change', (e) => this.handleOrientationChange(e))
     );
 
+    this.elements.placementInputs.forEach((input) =>
+      input.addEventListener('change', (e) => this.handlePlacementChange(e))
+    );
+
+    this.elements.fontSizeInputs.forEach((input) =>
+      input.addEventListener('change', (e) => this.handleFontSizeChange(e))
+    );
+
+    if (this.elements.fontSizeSlider) {
+      this.elements.fontSizeSlider.addEventListener('input', (e) => this.handleFontSizeSliderInput(e));
+    }
+
     const allVariantInputs = document.querySelectorAll('.variant-input');
     allVariantInputs.forEach((input) => input.addEventListener('change', (e) => this.handleVariantChange(e)));
 
@@ -247,12 +728,17 @@ class TShirtDesigner {
       return;
     }
 
+    const before = this.getDesignSnapshot();
     this.state.originalText = e.target.value;
+    if (this.state.isTranslating) this.cancelTranslation();
     this.updateCharCounter();
     this.hideTranslationResult();
     this.hideError();
     this.updateTranslateButton();
     this.updateAddToCartButton();
+    this.updateStartOverButton();
+    this.recordHistory('text', before, 'text');
+    this.saveDesignState();
   }
 
   handleKeyPress(e) {
@@ -267,53 +753,288 @@ class TShirtDesigner {
     if (!this.canTranslate()) return;
 
     console.log('Starting translation...');
+    const before = this.getDesignSnapshot();
+    const requestId = ++this.translationRequestId;
     this.setTranslatingState(true);
     this.hideError();
     this.hideTranslationResult();
 
+    let result;
     try {
-      const response = await fetch(this.config.translationApiUrl, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ text })
+      result = await this.requestTranslation(text);
+    } catch (error) {
+      // cancelled or superseded by a newer request: that one owns the UI
+      if (requestId !== this.translationRequestId || error.name === 'AbortError') return;
+      console.error('Translation error:', error);
+      this.showError(this.getTranslationErrorMessage(error), TranslationError.classify(error));
+      return;
+    } finally {
+      if (requestId === this.translationRequestId) this.setTranslatingState(false);
+    }
+    if (requestId !== this.translationRequestId) return;
+
+    const { data, source } = result;
+    const candidates = data && data.success ? this.normalizeTranslationCandidates(data) : [];
+    if (!candidates.length) {
+      const error = new TranslationError(data?.error || 'No translation returned', { type: 'validation' });
+      this.showError(this.getTranslationErrorMessage(error), error.type);
+      return;
+    }
+
+    this.state.translationCandidates = candidates;
+    this.state.translatedText = candidates[0].text;
+    this.state.translationKind = candidates[0].kind;
+    this.state.translationSource = source;
+    this.state.hasTranslation = true;
+
+    this.resetToDefaults();
+    this.showTranslationResult(this.state.translatedText);
+    this.switchToBlankImage();
+
+    this.recordHistory('translation', before);
+    await this.updateAllComponentsWithLayout();
+
+    console.log('Translation complete with auto-sized text layout');
+  }
+
+  // Abort an in-flight translation (text edited / new request); its result is dropped
+  cancelTranslation() {
+    this.translationRequestId++;
+    if (this.translationController) this.translationController.abort();
+    this.translationController = null;
+    if (this.state.isTranslating) this.setTranslatingState(false);
+  }
+
+  // Provider from window.tshirtTranslationProvider (tests / mock) or the section's endpoint
+  getTranslationProvider() {
+    if (this.translationProvider) return this.translationProvider;
+    this.translationProvider = window.tshirtTranslationProvider || new HttpTranslationProvider(this.config.translation.url);
+    return this.translationProvider;
+  }
+
+  /**
+   * Translate via cache → in-flight request for the same input → provider
+   * (timeout + exponential-backoff retries). When the service stays
+   * unreachable, fails or is rate-limited, fall back to the offline
+   * transliterator if enabled. Resolves { data, source }.
+   */
+  async requestTranslation(text) {
+    const key = TShirtDesigner.normalizeTranslationKey(text);
+
+    const cached = this.translationCache.get(key);
+    if (cached) {
+      console.log('Translation cache hit:', key);
+      return { data: cached, source: 'remote' };
+    }
+    if (this.pendingTranslations.has(key)) return this.pendingTranslations.get(key);
+
+    // a different input supersedes whatever is still in flight
+    if (this.translationController) this.translationController.abort();
+    const controller = new AbortController();
+    this.translationController = controller;
+
+    const request = this.fetchTranslationWithRetry(text, controller.signal)
+      .then((data) => {
+        if (data && data.success) this.translationCache.set(key, data);
+        return { data, source: 'remote' };
+      })
+      .catch(async (error) => {
+        const type = TranslationError.classify(error);
+        if (controller.signal.aborted || !this.config.translation.offlineFallback || type === 'validation') throw error;
+
+        console.warn('Translation service unavailable, using offline transliteration:', error);
+        this.offlineTranslator = this.offlineTranslator || new RomajiTransliterator();
+        const offline = await this.offlineTranslator.translate(text).catch(() => null);
+        // nothing transliterable (digits, accented letters…): report the service
+        // failure itself, keeping its network / server / rate-limit type and Retry
+        if (!offline || !offline.success) throw error;
+        return { data: offline, source: 'offline' };
+      })
+      .finally(() => {
+        this.pendingTranslations.delete(key);
+        if (this.translationController === controller) this.translationController = null;
       });
 
-      if (!response.ok) throw new Error(`Translation failed (${response.status})`);
+    this.pendingTranslations.set(key, request);
+    return request;
+  }
+
+  // Network / server failures are retried with exponential backoff; rate limits and validation errors are not
+  async fetchTranslationWithRetry(text, signal) {
+    const { retries, retryDelayMs } = this.config.translation;
 
-      const data = await response.json();
-      if (data.success && data.translation) {
-        this.state.translatedText = data.translation;
-        this.state.hasTranslation = true;
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this.translateWithTimeout(text, signal);
+      } catch (error) {
+        const type = TranslationError.classify(error);
+        if (signal.aborted || attempt >= retries || (type !== 'network' && type !== 'server')) throw error;
 
-        this.resetToDefaults();
-        this.showTranslationResult(data.translation);
-        this.switchToBlankImage();
+        console.warn(`Translation attempt ${attempt + 1}/${retries + 1} failed:`, error);
+        await TShirtDesigner.sleep(retryDelayMs * 2 ** attempt, signal);
+      }
+    }
+  }
 
-        await this.updateAllComponentsWithLayout();
+  // One provider call, aborted after config.translation.timeoutMs (even if the provider ignores the signal)
+  async translateWithTimeout(text, signal) {
+    const controller = new AbortController();
+    const abort = () => controller.abort();
+    signal.addEventListener('abort', abort, { once: true });
+
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, this.config.translation.timeoutMs);
+
+    const aborted = new Promise((resolve, reject) => {
+      controller.signal.addEventListener('abort', () => {
+        reject(timedOut
+          ? new TranslationError('Translation request timed out', { type: 'network' })
+          : new DOMException('Translation cancelled', 'AbortError'));
+      }, { once: true });
+    });
 
-        console.log('Translation complete with auto-sized text layout');
-      } else {
-        throw new Error(data.error || 'Translation failed');
+    try {
+      return await Promise.race([
+        this.getTranslationProvider().translate(text, {
+          alternatives: TShirtDesigner.TRANSLATION_KINDS,
+          signal: controller.signal
+        }),
+        aborted
+      ]);
+    } finally {
+      clearTimeout(timer);
+      signal.removeEventListener('abort', abort);
+    }
+  }
+
+  getTranslationErrorMessage(error) {
+    switch (TranslationError.classify(error)) {
+      case 'rate-limit': {
+        const seconds = Math.ceil((error.retryAfterMs || 30000) / 1000);
+        return `Too many translation requests right now. Please wait ${seconds}s and try again.`;
       }
-} catch (error) {
-  console.error('Translation error:', error);
-  // Only show error if it's actually a translation failure, not a UI update failure
-  if (error.message && !error.message.includes('addSimpleDesignParams')) {
-    this.showError('Translation failed. Please try again.');
-  }
-} finally {
-  this.setTranslatingState(false);
-}
-}
+      case 'validation':
+        return error.message && !/^Translation failed/.test(error.message)
+          ? `We couldn't translate that: ${error.message}`
+          : `We couldn't translate that text. Use up to ${this.config.maxTextLength} letters and try again.`;
+      case 'server':
+        return 'The translation service is having trouble. Please try again in a moment.';
+      default:
+        return "Can't reach the translation service. Check your connection and try again.";
+    }
+  }
+
+  /**
+   * Candidates from the translate endpoint: data.translations = [{ text, kind,
+   * reading, romaji }], or the legacy single data.translation. A kana
+   * candidate also yields the other kana script (same reading).
+   */
+  normalizeTranslationCandidates(data) {
+    const kinds = TShirtDesigner.TRANSLATION_KINDS;
+    const raw = Array.isArray(data.translations) ? data.translations : [{ text: data.translation }];
+
+    const candidates = raw
+      .filter((c) => c && typeof c.text === 'string' && c.text.trim())
+      .map((c) => ({
+        text: c.text.trim(),
+        kind: kinds.includes(c.kind) ? c.kind : TShirtDesigner.detectScript(c.text),
+        reading: typeof c.reading === 'string' ? c.reading : '',
+        romaji: typeof c.romaji === 'string' ? c.romaji : ''
+      }));
+
+    const katakana = candidates.find((c) => c.kind === 'katakana');
+    const hiragana = candidates.find((c) => c.kind === 'hiragana');
+    if (katakana && !hiragana) candidates.push({ ...katakana, kind: 'hiragana', text: TShirtDesigner.toHiragana(katakana.text) });
+    if (hiragana && !katakana) candidates.push({ ...hiragana, kind: 'katakana', text: TShirtDesigner.toKatakana(hiragana.text) });
+
+    // one entry per text, in katakana / hiragana / kanji order
+    const rank = (c) => (kinds.includes(c.kind) ? kinds.indexOf(c.kind) : kinds.length);
+    return candidates
+      .filter((c, i) => candidates.findIndex((other) => other.text === c.text) === i)
+      .sort((a, b) => rank(a) - rank(b));
+  }
+
+  // Script chooser under the translation: one radio card per candidate
+  renderTranslationCandidates() {
+    const container = this.elements.translationCandidates;
+    if (!container) return;
+
+    const candidates = this.state.translationCandidates || [];
+    container.replaceChildren();
+    container.classList.toggle('hidden', candidates.length < 2);
+    if (candidates.length < 2) return;
+
+    const labels = { katakana: 'Katakana · phonetic', hiragana: 'Hiragana · phonetic', kanji: 'Kanji · meaning' };
+
+    candidates.forEach((candidate, index) => {
+      const id = `translation-candidate-${index}`;
+      const input = document.createElement('input');
+      input.type = 'radio';
+      input.name = 'translation-candidate';
+      input.id = id;
+      input.value = String(index);
+      input.className = 'translation-candidate-input';
+      input.checked = candidate.text === this.state.translatedText;
+      input.addEventListener('change', () => this.handleTranslationCandidateChange(index));
+
+      const label = document.createElement('label');
+      label.htmlFor = id;
+      label.className = 'translation-candidate';
+
+      const kind = document.createElement('span');
+      kind.className = 'translation-candidate-kind';
+      kind.textContent = labels[candidate.kind] || 'Translation';
+
+      // furigana above the text (ruby), romaji below
+      const text = document.createElement('ruby');
+      text.className = 'translation-candidate-text';
+      text.textContent = candidate.text;
+      if (candidate.reading && candidate.reading !== candidate.text) {
+        const rt = document.createElement('rt');
+        rt.textContent = candidate.reading;
+        text.appendChild(rt);
+      }
+
+      label.append(kind, text);
+      if (candidate.romaji) {
+        const romaji = document.createElement('span');
+        romaji.className = 'translation-candidate-romaji';
+        romaji.textContent = candidate.romaji;
+        label.appendChild(romaji);
+      }
+
+      container.append(input, label);
+    });
+  }
+
+  async handleTranslationCandidateChange(index) {
+    const candidate = this.state.translationCandidates[index];
+    if (!candidate) return;
+
+    const before = this.getDesignSnapshot();
+    this.state.translatedText = candidate.text;
+    this.state.translationKind = candidate.kind;
+    this.state.hasTranslation = true;
+    this.recordHistory('translation choice', before);
+
+    if (this.elements.japaneseResult) this.elements.japaneseResult.textContent = candidate.text;
+    await this.updateAllComponentsWithLayout();
+  }
+
+  // Chosen candidate (for its reading/romaji), if it came from the candidate list
+  getSelectedTranslationCandidate() {
+    return (this.state.translationCandidates || []).find((c) => c.text === this.state.translatedText) || null;
+  }
 
   resetToDefaults() {
     console.log('Resetting to defaults...');
-    this.state.fontColor = '#FFFFFF';
+    if (!this.state.fontColorChosen) this.state.fontColor = this.getDefaultFontColor();
     this.state.fontStyle = 'Yuji Syuku';
 
-    this.elements.fontColorInputs.forEach((input) => {
-      input.checked = input.value === this.state.fontColor;
-    });
+    this.syncFontColorControls();
 
     this.elements.fontStyleInputs.forEach((input) => {
       input.checked = input.value === this.state.fontStyle;
@@ -327,6 +1048,7 @@ class TShirtDesigner {
     this.updateFontPreviewCards();
     this.updateCanvasWithLayout();
     this.updateAddToCartButton();
+    this.updateStartOverButton();
 
     // keep hidden props in sync (design/snapshot/previews)
     await this.syncHiddenProps();
@@ -340,7 +1062,7 @@ class TShirtDesigner {
 
     console.log('Updating canvas:', {
       text: this.state.translatedText,
-      baseFontSize: this.config.baseFontSize,
+      maxFontSize: this.state.maxFontSize,
       color: this.state.fontColor,
       style: this.state.fontStyle,
       orientation: this.state.orientation
@@ -348,12 +1070,8 @@ class TShirtDesigner {
 
     this.clearCanvas();
 
-    // Draw guides under text
-    // Always draw guides while debugging
-if (this.layoutEngine) {
-  this.drawPrintAreaGuides();
-}
-
+    // guides live on their own overlay layer, never on the exported canvas
+    this.drawPrintAreaGuides();
 
     if (!this.state.hasTranslation) return;
 
@@ -363,10 +1081,11 @@ if (this.layoutEngine) {
       try {
         const layout = this.layoutEngine.fitText(
           this.state.translatedText,
-          this.config.baseFontSize,
+          this.state.maxFontSize,
           fontFamily,
           this.ctx,
-          this.state.orientation
+          this.state.orientation,
+          { ...this.state.alignment, placement: this.state.placement }
         );
 
         this.state.currentLayout = layout;
@@ -377,19 +1096,18 @@ if (this.layoutEngine) {
         this.syncHiddenProps();
 
         console.log('Text rendered with auto-scaling:', {
-          requestedSize: this.config.baseFontSize,
+          requestedSize: this.state.maxFontSize,
           actualSize: layout.fontSize,
           lines: layout.lines.length,
           orientation: layout.metadata.orientation
         });
       } catch (error) {
         console.error('TextLayoutEngine error:', error);
+        this.state.currentLayout = null;
         this.renderFallbackText(fontFamily);
-        this.addPreviewDataUrlToForm();
       }
     } else {
       this.renderFallbackText(fontFamily);
-      this.addPreviewDataUrlToForm();
     }
   }
 
@@ -399,39 +1117,54 @@ if (this.layoutEngine) {
       return;
     }
 
-    this.ctx.fillStyle = this.state.fontColor;
-    this.ctx.textAlign = 'left';
-    this.ctx.textBaseline = 'alphabetic';
-    this.ctx.setTransform(1, 0, 0, 1, 0, 0);
+    this.drawLayout(this.ctx, layout);
+  }
 
-    layout.positions.forEach((position) => {
-      this.ctx.font = `${layout.fontSize}px ${this.config.fontFamilies[this.state.fontStyle] || 'Arial, sans-serif'}`;
+  // Draw layout text onto any 2D context (preview canvas or offscreen print canvas)
+  drawLayout(ctx, layout) {
+    this.layoutEngine.drawLayout(ctx, layout, { fill: this.state.fontColor });
+  }
 
+  /**
+   * Production artwork: guide-free transparent PNG of the current layout,
+   * re-laid out at the placement's print resolution (front: 12×16in @ 300 DPI).
+   * Only when the browser can't allocate that canvas is the DPI lowered to fit
+   * config.printMaxPixels. Returns null when neither size works; callers fall
+   * back to the preview.
+   */
+  async renderPrintFile() {
+    if (!this.layoutEngine || !this.state.currentLayout) return null;
+
+    for (const maxPixels of [null, this.config.printMaxPixels]) {
+      const printFile = await this.renderPrintFileAt(maxPixels);
+      if (printFile) return printFile;
+      console.warn(`Print canvas failed${maxPixels ? ' at the reduced size' : ', retrying at a reduced size'}`);
+    }
+    return null;
+  }
 
-      if (position.useReducedSpacing && position.line.length > 1) {
-        // reduced spacing for horizontal lines
-        let currentX = Math.round(position.x);
-        const y = Math.round(position.y);
-        const reduction = position.letterSpacingReduction || 0;
+  async renderPrintFileAt(maxPixels) {
+    const off = document.createElement('canvas');
+    const octx = off.getContext('2d');
+    if (!octx) return null;
 
-        for (let i = 0; i < position.line.length; i++) {
-          const char = position.line[i];
-          this.ctx.fillText(char, currentX, y);
+    const printLayout = this.layoutEngine.createPrintLayout(this.state.currentLayout, octx, { maxPixels });
+    if (!printLayout) return null;
 
-          const charWidth = this.ctx.measureText(char).width;
-          const extraSpacing = layout.fontSize * 0.12; // 12% of font size
-          currentX += charWidth - reduction + extraSpacing;
-        }
-      } else {
-        // normal rendering (vertical or 1-char line)
-        this.ctx.fillText(position.line, Math.round(position.x), Math.round(position.y));
-      }
-    });
-
-    // redraw guides on top so they remain visible
-    if (window.showPrintGuides && this.layoutEngine) {
-      this.drawPrintAreaGuides();
+    off.width = printLayout.printArea.width;
+    off.height = printLayout.printArea.height;
+    // oversized canvases are clamped or left blank rather than throwing
+    if (off.width !== printLayout.printArea.width || off.height !== printLayout.printArea.height) return null;
+    try {
+      this.drawLayout(octx, printLayout);
+    } catch (err) {
+      console.warn('Could not draw print file:', err);
+      return null;
     }
+
+    const blob = await new Promise((resolve) => off.toBlob(resolve, 'image/png'));
+    if (!blob) return null;
+    return { canvas: off, blob, layout: printLayout };
   }
 
   renderFallbackText(fontFamily) {
@@ -462,42 +1195,42 @@ if (this.layoutEngine) {
     } else {
       this.ctx.fillText(text, x, y);
     }
-
-    if (window.showPrintGuides && this.layoutEngine) {
-      this.drawPrintAreaGuides();
-    }
   }
 
-  /** Print area guides (persist) */
+  /** Print area guides on the overlay layer (cleared when hidden) */
   drawPrintAreaGuides() {
-    if (!this.layoutEngine) return;
+    const ctx = this.guidesCtx;
+    if (!ctx) return;
 
-    const bounds = this.layoutEngine.getPrintAreaBounds(this.state.orientation);
+    ctx.clearRect(0, 0, this.config.canvasWidth, this.config.canvasHeight);
+    if (!this.state.showGuides || !this.layoutEngine) return;
 
-    this.ctx.save();
+    const bounds = this.layoutEngine.getPrintAreaBounds(this.state.orientation, this.state.placement);
+
+    ctx.save();
 
     // outer print area (red dashed)
-    this.ctx.strokeStyle = 'rgba(255, 0, 0, 0.8)';
-    this.ctx.lineWidth = 2;
-    this.ctx.setLineDash([8, 4]);
-    this.ctx.strokeRect(bounds.outer.x, bounds.outer.y, bounds.outer.width, bounds.outer.height);
+    ctx.strokeStyle = 'rgba(255, 0, 0, 0.8)';
+    ctx.lineWidth = 2;
+    ctx.setLineDash([8, 4]);
+    ctx.strokeRect(bounds.outer.x, bounds.outer.y, bounds.outer.width, bounds.outer.height);
 
     // inner safe text area (green dashed)
-    this.ctx.strokeStyle = 'rgba(0, 255, 0, 0.8)';
-    this.ctx.lineWidth = 1;
-    this.ctx.setLineDash([4, 2]);
-    this.ctx.strokeRect(bounds.inner.x, bounds.inner.y, bounds.inner.width, bounds.inner.height);
+    ctx.strokeStyle = 'rgba(0, 255, 0, 0.8)';
+    ctx.lineWidth = 1;
+    ctx.setLineDash([4, 2]);
+    ctx.strokeRect(bounds.inner.x, bounds.inner.y, bounds.inner.width, bounds.inner.height);
 
     // labels
-    this.ctx.fillStyle = 'rgba(255, 0, 0, 0.8)';
-    this.ctx.font = '10px Arial';
-    this.ctx.setLineDash([]);
-    this.ctx.fillText('PRINT AREA', bounds.outer.x + 5, bounds.outer.y - 5);
+    ctx.fillStyle = 'rgba(255, 0, 0, 0.8)';
+    ctx.font = '10px Arial';
+    ctx.setLineDash([]);
+    ctx.fillText('PRINT AREA', bounds.outer.x + 5, bounds.outer.y - 5);
 
-    this.ctx.fillStyle = 'rgba(0, 128, 0, 0.8)';
-    this.ctx.fillText('TEXT AREA', bounds.inner.x + 5, bounds.inner.y - 5);
+    ctx.fillStyle = 'rgba(0, 128, 0, 0.8)';
+    ctx.fillText('TEXT AREA', bounds.inner.x + 5, bounds.inner.y - 5);
 
-    this.ctx.restore();
+    ctx.restore();
   }
 
   clearCanvas() {
@@ -506,22 +1239,273 @@ if (this.layoutEngine) {
     }
   }
 
+  handleGuidesToggle(e) {
+    this.state.showGuides = e.target.checked;
+    this.drawPrintAreaGuides();
+  }
+
   handleFontColorChange(e) {
-    this.state.fontColor = e.target.value;
+    this.applyFontColor(e.target.value);
+  }
+
+  // Free picker: snap to the nearest print ink and select its swatch
+  handleFontColorPick(e) {
+    this.applyFontColor(this.getNearestInk(e.target.value), 'font-color-picker');
+  }
+
+  applyFontColor(color, mergeKey = null) {
+    const before = this.getDesignSnapshot();
+    this.state.fontColor = color;
+    this.state.fontColorChosen = true;
+    this.recordHistory('font color', before, mergeKey);
+    this.syncFontColorControls();
     this.updateCanvasWithLayout();
     this.updateFormProperties();
     this.syncHiddenProps();
   }
 
+  // Reflect state.fontColor in the swatches, picker, ink name and contrast warning
+  syncFontColorControls() {
+    const color = this.state.fontColor.toUpperCase();
+    const ink = this.getInkPalette().find((i) => i.hex === color);
+
+    this.elements.fontColorInputs.forEach((input) => {
+      input.checked = input.value.toUpperCase() === color;
+    });
+    if (this.elements.fontColorPicker) this.elements.fontColorPicker.value = color.toLowerCase();
+    if (this.elements.fontColorName) this.elements.fontColorName.textContent = ink ? ink.name : color;
+    this.updateContrastWarning();
+  }
+
+  // Print inks offered by the section (its font-color swatches)
+  getInkPalette() {
+    return Array.from(this.elements.fontColorInputs || []).map((input) => ({
+      hex: input.value.toUpperCase(),
+      name: input.dataset.inkName || input.value
+    }));
+  }
+
+  getNearestInk(hex) {
+    const target = TShirtDesigner.hexToRgb(hex);
+    let best = null;
+    let bestDistance = Infinity;
+
+    this.getInkPalette().forEach((ink) => {
+      const rgb = TShirtDesigner.hexToRgb(ink.hex);
+      // "redmean" weighted distance: close to perceived difference, cheap
+      const rMean = (target.r + rgb.r) / 2;
+      const dr = target.r - rgb.r;
+      const dg = target.g - rgb.g;
+      const db = target.b - rgb.b;
+      const distance = (2 + rMean / 256) * dr * dr + 4 * dg * dg + (2 + (255 - rMean) / 256) * db * db;
+      if (distance < bestDistance) {
+        bestDistance = distance;
+        best = ink.hex;
+      }
+    });
+
+    return best || this.state.fontColor;
+  }
+
+  // Swatch color of the selected shirt color variant (data-color), if any
+  getShirtColor() {
+    const input = document.querySelector('.color-input:checked');
+    return input && /^#[0-9a-f]{6}$/i.test(input.dataset.color || '') ? input.dataset.color : null;
+  }
+
+  // First ink (palette order) readable on the shirt, else the highest-contrast ink
+  getDefaultFontColor() {
+    const palette = this.getInkPalette();
+    if (!palette.length) return this.state.fontColor;
+
+    const shirt = this.getShirtColor();
+    if (!shirt) return palette[0].hex;
+
+    const ranked = palette.map((ink) => ({ ...ink, ratio: TShirtDesigner.contrastRatio(ink.hex, shirt) }));
+    const readable = ranked.find((ink) => ink.ratio >= this.config.minContrast);
+    return (readable || ranked.sort((a, b) => b.ratio - a.ratio)[0]).hex;
+  }
+
+  updateContrastWarning() {
+    const el = this.elements.contrastWarning;
+    if (!el) return;
+
+    const shirt = this.getShirtColor();
+    const ratio = shirt ? TShirtDesigner.contrastRatio(this.state.fontColor, shirt) : Infinity;
+    const low = ratio < this.config.minContrast;
+
+    el.textContent = low
+      ? `Low contrast (${ratio.toFixed(1)}:1) on this shirt color — the print may be hard to read.`
+      : '';
+    el.classList.toggle('hidden', !low);
+  }
+
   handleFontStyleChange(e) {
+    const before = this.getDesignSnapshot();
     this.state.fontStyle = e.target.value;
+    this.recordHistory('font style', before);
     this.updateCanvasWithLayout();
     this.updateFormProperties();
+    this.updateFontPreviewCards(); // re-enable cards greyed out while selected
+    this.updateAddToCartButton(); // glyph support depends on the font
     this.syncHiddenProps();
   }
 
+  // --- Manual Japanese entry ---
+
+  setInputMode(mode, { focus = true } = {}) {
+    this.state.inputMode = mode === 'manual' ? 'manual' : 'translate';
+    const manual = this.state.inputMode === 'manual';
+
+    this.elements.inputModeInputs.forEach((input) => {
+      input.checked = input.value === this.state.inputMode;
+    });
+    if (this.elements.translateInputGroup) this.elements.translateInputGroup.classList.toggle('hidden', manual);
+    if (this.elements.japaneseInputGroup) this.elements.japaneseInputGroup.classList.toggle('hidden', !manual);
+
+    if (manual && this.elements.japaneseInput) {
+      // start from the current translation so it can be tweaked
+      this.elements.japaneseInput.value = this.state.translatedText;
+      if (focus) this.elements.japaneseInput.focus();
+    }
+    this.saveDesignState();
+  }
+
+  handleJapaneseInput(e) {
+    const value = String(e.target.value).replace(/[\u0000-\u001F\u007F]/g, '');
+    const text = Array.from(value).slice(0, this.config.maxJapaneseLength).join('');
+    if (text !== e.target.value) e.target.value = text;
+    this.applyManualJapanese(text);
+  }
+
+  async applyManualJapanese(text) {
+    const before = this.getDesignSnapshot();
+    if (this.state.isTranslating) this.cancelTranslation();
+
+    this.state.translatedText = text;
+    this.state.translationKind = TShirtDesigner.detectScript(text);
+    this.state.translationSource = 'manual';
+    this.state.translationCandidates = [];
+    // typed Japanese no longer translates the English text; don't send it as the original
+    this.state.originalText = '';
+    if (this.elements.textInput) this.elements.textInput.value = '';
+    this.updateCharCounter();
+    this.updateTranslateButton();
+    this.hideError();
+
+    if (text.trim()) {
+      this.state.hasTranslation = true;
+      this.showTranslationResult(text);
+      if (!this.state.isBlankImageActive) this.switchToBlankImage();
+    } else {
+      this.hideTranslationResult();
+      this.state.currentLayout = null;
+    }
+
+    this.recordHistory('japanese text', before, 'japanese-text');
+    await this.updateAllComponentsWithLayout();
+  }
+
+  /**
+   * Characters of the Japanese text the selected font can't print
+   * (TextLayoutEngine.findUnrenderableChars; empty when nothing to check)
+   */
+  getUnrenderableChars() {
+    if (!this.layoutEngine || !this.state.translatedText) return [];
+    const fontFamily = this.config.fontFamilies[this.state.fontStyle] || 'Arial, sans-serif';
+    return this.layoutEngine.findUnrenderableChars(this.state.translatedText, fontFamily, this.ctx);
+  }
+
+  /**
+   * Unprintable characters of the Japanese text for every font in
+   * config.fontFamilies: { [fontStyle]: chars[] }
+   */
+  getGlyphCoverage() {
+    if (!this.layoutEngine || !this.state.translatedText) return {};
+    return this.layoutEngine.getGlyphCoverage(this.state.translatedText, this.config.fontFamilies, this.ctx);
+  }
+
+  // Designs with unprintable characters can't go to the cart
+  canAddToCart() {
+    return this.state.hasTranslation && this.getUnrenderableChars().length === 0;
+  }
+
+  updateGlyphWarning(unsupported) {
+    const el = this.elements.glyphWarning;
+    if (!el) return;
+
+    let message = '';
+    if (unsupported.length) {
+      const coverage = this.getGlyphCoverage();
+      const alternatives = Object.keys(coverage).filter((name) => coverage[name].length === 0);
+      message = `${this.state.fontStyle} can't print: ${unsupported.join(' ')} – `;
+      message += alternatives.length
+        ? `try ${alternatives.join(', ')} or change the text.`
+        : 'none of the fonts can, please change the text.';
+    }
+    el.textContent = message;
+    el.classList.toggle('hidden', !unsupported.length);
+  }
+
+  handleFontSizeChange(e) {
+    const preset = e.target.value;
+    if (!this.config.fontSizePresets[preset]) return;
+
+    const before = this.getDesignSnapshot();
+    this.state.fontSize = preset;
+    this.state.maxFontSize = this.config.fontSizePresets[preset];
+    this.recordHistory('font size', before);
+    this.syncFontSizeControls();
+    this.updateCanvasWithLayout();
+    this.updateFormProperties();
+    this.syncHiddenProps();
+  }
+
+  handleFontSizeSliderInput(e) {
+    const { min, max } = this.config.fontSizeRange;
+    const size = Math.min(max, Math.max(min, parseInt(e.target.value, 10) || this.config.baseFontSize));
+    const preset = Object.keys(this.config.fontSizePresets).find(
+      (key) => this.config.fontSizePresets[key] === size
+    );
+
+    const before = this.getDesignSnapshot();
+    this.state.fontSize = preset || 'custom';
+    this.state.maxFontSize = size;
+    this.recordHistory('font size', before, 'font-size-slider');
+    this.syncFontSizeControls();
+    this.updateCanvasWithLayout();
+    this.updateFormProperties();
+    this.syncHiddenProps();
+  }
+
+  // Reflect state.fontSize / state.maxFontSize in the radios, slider and readout
+  syncFontSizeControls() {
+    this.elements.fontSizeInputs.forEach((input) => {
+      input.checked = input.value === this.state.fontSize;
+    });
+    if (this.elements.fontSizeSlider) {
+      this.elements.fontSizeSlider.value = this.state.maxFontSize;
+    }
+    if (this.elements.fontSizeValue) {
+      this.elements.fontSizeValue.textContent = `${this.state.maxFontSize}px`;
+    }
+  }
+
+  // Cart property value for the print placement, e.g. "Left Chest"
+  getPlacementLabel() {
+    if (!this.layoutEngine) return this.state.placement;
+    return this.layoutEngine.getPlacement(this.state.placement).label;
+  }
+
+  // Cart property value: preset name, or the pixel size for a custom slider value
+  getFontSizeLabel() {
+    return this.state.fontSize === 'custom' ? `${this.state.maxFontSize}px` : this.state.fontSize;
+  }
+
   handleOrientationChange(e) {
+    const before = this.getDesignSnapshot();
     this.state.orientation = e.target.value;
+    this.recordHistory('orientation', before);
     console.log('Orientation changed to:', this.state.orientation);
     this.updateCanvasWithLayout(); // redraw guides with new orientation
     this.updateFormProperties();
@@ -529,6 +1513,25 @@ if (this.layoutEngine) {
   }
 
 
+  handlePlacementChange(e) {
+    const before = this.getDesignSnapshot();
+    this.state.placement = e.target.value;
+    this.recordHistory('placement', before);
+    console.log('Placement changed to:', this.state.placement);
+    this.updateCanvasWithLayout(); // redraw guides for the new print area
+    this.updateFormProperties();
+    this.syncHiddenProps();
+  }
+
+  // Change text alignment/anchor, e.g. { anchor: 'upper-back' } or { align: 'left', verticalAlign: 'top' }
+  setAlignment(alignment = {}) {
+    const before = this.getDesignSnapshot();
+    this.state.alignment = { ...alignment };
+    this.recordHistory('alignment', before);
+    this.updateCanvasWithLayout();
+    this.syncHiddenProps();
+  }
+
   handleVariantChange(e) {
     const selectedOptions = this.getSelectedOptions();
     const matchingVariant = this.findVariantByOptions(selectedOptions);
@@ -553,6 +1556,14 @@ if (this.layoutEngine) {
       this.updateAvailability(matchingVariant.available);
       this.state.selectedVariant = matchingVariant;
 
+      // new shirt color: re-pick the default ink unless the customer chose one
+      if (!this.state.fontColorChosen) {
+        this.state.fontColor = this.getDefaultFontColor();
+        this.updateCanvasWithLayout();
+        this.updateFormProperties();
+      }
+      this.syncFontColorControls();
+
       // variant change could swap shirt image → refresh mockup preview later
       this.syncHiddenProps();
     }
@@ -613,14 +1624,29 @@ if (this.layoutEngine) {
     this.elements.fontPreviewTexts.forEach((preview) => {
       preview.textContent = textToShow;
     });
+
+    // grey out fonts that can't print the current text; the selected one stays
+    // enabled so it can be switched away from (Add to Cart is blocked meanwhile)
+    const coverage = this.getGlyphCoverage();
+    this.elements.fontStyleInputs.forEach((input) => {
+      const missing = coverage[input.value] || [];
+      const card = document.querySelector(`label[for="${input.id}"]`);
+      input.disabled = missing.length > 0 && !input.checked;
+      if (card) {
+        card.classList.toggle('is-unsupported', missing.length > 0);
+        card.title = missing.length ? `Can't print: ${missing.join(' ')}` : '';
+      }
+    });
   }
 
   updateFormProperties() {
     if (this.elements.originalTextProp) this.elements.originalTextProp.value = this.state.originalText;
     if (this.elements.japaneseTextProp) this.elements.japaneseTextProp.value = this.state.translatedText;
+    if (this.elements.fontSizeProp) this.elements.fontSizeProp.value = this.getFontSizeLabel();
     if (this.elements.fontColorProp) this.elements.fontColorProp.value = this.state.fontColor;
     if (this.elements.fontStyleProp) this.elements.fontStyleProp.value = this.state.fontStyle;
     if (this.elements.orientationProp) this.elements.orientationProp.value = this.state.orientation;
+    if (this.elements.placementProp) this.elements.placementProp.value = this.getPlacementLabel();
   }
 
   handleQuantityChange(e) {
@@ -635,61 +1661,227 @@ if (this.layoutEngine) {
   }
 
   async handleFormSubmit(e) {
+    // hold the native submit until uploaded asset references are written
+    e.preventDefault();
+
     if (!this.state.hasTranslation) {
-      e.preventDefault();
       this.showError('Please translate your text before adding to cart.');
       this.elements.textInput?.focus();
       return false;
     }
-
-    // ensure all hidden inputs exist & are fresh before submit
-    await this.syncHiddenProps();
+    if (!this.canAddToCart()) {
+      this.showError('Some characters can\'t be printed in this font. Edit the text or choose another font.', 'validation');
+      return false;
+    }
+    if (this.isSubmitting) return false;
+    this.isSubmitting = true;
 
     const btnText = this.elements.addToCartBtn?.querySelector('.cart-text');
     if (btnText) btnText.textContent = 'Adding...';
     if (this.elements.addToCartBtn) this.elements.addToCartBtn.disabled = true;
 
-    return true;
+    try {
+      // ensure all hidden inputs exist & are fresh before submit
+      await this.syncHiddenProps();
+      await this.uploadDesignAssets();
+
+      // ordered designs land in "My designs" with their artwork references
+      try {
+        await this.saveToDesignLibrary();
+      } catch (err) {
+        console.warn('Could not save ordered design to library:', err);
+      }
+
+      // form.submit() does not re-fire the submit event
+      this.elements.form.submit();
+      return true;
+    } catch (err) {
+      console.error('Failed preparing design for cart:', err);
+      this.showError('Could not prepare your design. Please try again.');
+      this.isSubmitting = false;
+      this.updateAddToCartButton();
+      return false;
+    }
   }
 
 
 
-  // raw PNG of the canvas (text + guides)
-  addPreviewDataUrlToForm() {
-    try {
-      if (!this.state.hasTranslation || !this.elements.canvas) return;
-      const dataUrl = this.elements.canvas.toDataURL('image/png');
-      this.createOrUpdateHidden('properties[_preview_data_url]', 'preview-data-url', dataUrl);
-    } catch (err) {
-      console.warn('Failed writing _preview_data_url:', err);
+  /**
+   * Vector artwork of the current design at print scale.
+   * options.embedFont (default true) embeds a Google Fonts subset covering only
+   * the design's characters; options.glyphOutliner is passed to the engine to
+   * emit outlines instead of text (e.g. backed by opentype.js).
+   */
+  async exportSVG(options = {}) {
+    if (!this.layoutEngine || !this.state.currentLayout) return null;
+
+    const printLayout = this.layoutEngine.createPrintLayout(this.state.currentLayout, this.ctx);
+    if (!printLayout) return null;
+
+    let fontFace = null;
+    if (options.embedFont !== false && !options.glyphOutliner) {
+      const chars = this.layoutEngine.getUsedCharacters(printLayout);
+      fontFace = await this.fetchFontSubset(this.state.fontStyle, chars).catch((err) => {
+        console.warn('Font subset unavailable, SVG will reference the font by name:', err);
+        return null;
+      });
     }
+
+    return this.layoutEngine.exportSVG(printLayout, {
+      fill: this.state.fontColor,
+      fontFace,
+      glyphOutliner: options.glyphOutliner
+    });
+  }
+
+  // Google Fonts subset (css2 `text=` parameter) as an embeddable data URL
+  async fetchFontSubset(fontStyle, chars) {
+    const family = encodeURIComponent(fontStyle).replace(/%20/g, '+');
+    const cssUrl = `https://fonts.googleapis.com/css2?family=${family}&text=${encodeURIComponent(chars)}`;
+
+    const cssResponse = await fetch(cssUrl);
+    if (!cssResponse.ok) throw new Error(`Font CSS request failed (${cssResponse.status})`);
+    const css = await cssResponse.text();
+
+    const match = css.match(/url\((['"]?)([^)'"]+)\1\)/);
+    if (!match) throw new Error('No font URL in subset CSS');
+
+    const fontResponse = await fetch(match[2]);
+    if (!fontResponse.ok) throw new Error(`Font file request failed (${fontResponse.status})`);
+
+    return { family: fontStyle, src: await this.blobToDataUrl(await fontResponse.blob()) };
   }
 
-  // composed PNG of shirt mockup + current canvas overlay
-  async addPreviewMockupUrlToForm() {
+  /**
+   * Upload rendered artwork and write only short references into the cart:
+   *  - properties[_print_file]          print-resolution PNG (preview canvas if the engine failed)
+   *  - properties[_print_file_dpi]      DPI and pixel size of that PNG
+   *  - properties[_print_file_status]   set when _print_file is only the preview
+   *  - properties[_preview_mockup_url]  shirt + text mockup
+   * Empty properties are dropped by the cart.
+   * Without a configured uploader, or when the print file upload still fails
+   * after retries, the order goes through without images and is flagged with
+   * properties[_print_file_status] so it is rendered from _design_params.
+   */
+  async uploadDesignAssets() {
+    if (!this.state.hasTranslation) return;
+
+    const uploader = this.getAssetUploader();
+    if (!uploader) {
+      console.warn('No asset uploader configured - cart will carry design params only');
+      this.createOrUpdateHidden('properties[_print_file_status]', 'print-file-status-prop', 'not uploaded - render from _design_params');
+      this.setUploadStatus('unavailable');
+      return;
+    }
+
+    this.setUploadStatus('uploading');
+    let printAsset = null;
     try {
-      if (!this.state.hasTranslation || !this.elements.canvas) return;
+      const printFile = await this.renderPrintFile();
+      const printBlob = printFile?.blob || await this.canvasToBlob(this.elements.canvas);
+      const mockupBlob = await this.buildMockupBlob();
+
+      printAsset = await this.uploadWithRetry(uploader, printBlob, { kind: 'print-file' });
+      this.createOrUpdateHidden('properties[_print_file]', 'print-file-prop', printAsset.url || printAsset.id);
+      if (printFile) {
+        const { width, height, dpi } = printFile.layout.metadata.printPixels;
+        this.createOrUpdateHidden('properties[_print_file_dpi]', 'print-file-dpi-prop', `${dpi} (${width}×${height}px)`);
+        this.createOrUpdateHidden('properties[_print_file_status]', 'print-file-status-prop', '');
+      } else {
+        this.createOrUpdateHidden('properties[_print_file_dpi]', 'print-file-dpi-prop', '');
+        this.createOrUpdateHidden('properties[_print_file_status]', 'print-file-status-prop', 'preview fallback - render from _design_params');
+      }
 
-      const mockupUrl = await this.buildMockupDataUrl();
-      if (mockupUrl) {
-        this.createOrUpdateHidden('properties[_preview_mockup_url]', 'preview-mockup-url', mockupUrl);
+      if (mockupBlob) {
+        const mockupAsset = await this.uploadWithRetry(uploader, mockupBlob, { kind: 'mockup' });
+        this.createOrUpdateHidden('properties[_preview_mockup_url]', 'preview-mockup-url', mockupAsset.url || mockupAsset.id);
       }
+
+      this.setUploadStatus('done');
     } catch (err) {
-      console.warn('Failed writing _preview_mockup_url (falling back to canvas only):', err);
-      // still ensure at least canvas preview exists
-      this.addPreviewDataUrlToForm();
+      // the design params are in the cart already; don't block checkout on artwork
+      console.error('Asset upload failed - cart will carry design params only:', err);
+      if (!printAsset) {
+        this.createOrUpdateHidden('properties[_print_file_status]', 'print-file-status-prop', 'upload failed - render from _design_params');
+      }
+      this.setUploadStatus('failed');
+    }
+  }
+
+  // Uploader from window.tshirtAssetUploader (tests / stub server) or the section's upload URL
+  getAssetUploader() {
+    if (this.assetUploader) return this.assetUploader;
+    if (window.tshirtAssetUploader) {
+      this.assetUploader = window.tshirtAssetUploader;
+    } else if (this.config.assetUpload.url) {
+      this.assetUploader = new HttpAssetUploader(this.config.assetUpload.url);
     }
+    return this.assetUploader || null;
+  }
+
+  async uploadWithRetry(uploader, blob, meta) {
+    const { retries, retryDelayMs } = this.config.assetUpload;
+    let lastError;
+
+    for (let attempt = 0; attempt <= retries; attempt++) {
+      try {
+        const asset = await uploader.upload(blob, meta);
+        if (!asset || !(asset.url || asset.id)) throw new Error('Upload returned no reference');
+        return asset;
+      } catch (err) {
+        lastError = err;
+        console.warn(`Asset upload failed (attempt ${attempt + 1}/${retries + 1}):`, err);
+        if (attempt < retries) {
+          await new Promise((resolve) => setTimeout(resolve, retryDelayMs * 2 ** attempt));
+        }
+      }
+    }
+
+    throw lastError;
+  }
+
+  setUploadStatus(status) {
+    this.state.uploadStatus = status;
+    const el = this.elements.uploadStatus;
+    if (!el) return;
+
+    // only progress is shown; a missing print file is flagged on the order, not to the customer
+    const messages = {
+      uploading: 'Saving your design…'
+    };
+    el.textContent = messages[status] || '';
+    el.classList.toggle('hidden', !messages[status]);
+  }
+
+  canvasToBlob(canvas) {
+    return new Promise((resolve, reject) => {
+      if (!canvas) return resolve(null);
+      try {
+        canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error('Canvas export failed'))), 'image/png');
+      } catch (err) {
+        reject(err);
+      }
+    });
+  }
+
+  blobToDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(blob);
+    });
   }
 
   // Create a composed preview (shirt + canvas). Handles image load and CORS-taint fallback.
-  async buildMockupDataUrl() {
+  async buildMockupBlob() {
     const shirtImg = this.elements?.mainImage;
     const overlay = this.elements?.canvas;
-    if (!overlay) return '';
+    if (!overlay) return null;
 
     // If no base image, just return the overlay
     if (!shirtImg || !shirtImg.src) {
-      return overlay.toDataURL('image/png');
+      return this.canvasToBlob(overlay);
     }
 
     // wait until the shirt <img> is ready
@@ -734,20 +1926,21 @@ if (this.layoutEngine) {
       octx.drawImage(shirtImg, sx, sy, sW, sH, 0, 0, W, H);
       octx.drawImage(overlay, 0, 0);
 
-      return off.toDataURL('image/png');
+      return await this.canvasToBlob(off);
     } catch (err) {
       // If the shirt image is cross-origin and taints the canvas, fall back to overlay only.
       console.warn('Mockup composition failed (likely CORS). Falling back to overlay only.', err);
-      return overlay.toDataURL('image/png');
+      return this.canvasToBlob(overlay);
     }
   }
 
 async syncHiddenProps() {
+    this.saveDesignState();
+    this.updateShareLink();
     if (!this.state.hasTranslation) return;
 
     this.addSimpleDesignParams();
-    this.addPreviewDataUrlToForm(); // Keep for your manual review
-    await this.addPreviewMockupUrlToForm(); // Keep for your manual review
+    // artwork (_print_file, _preview_mockup_url) is rendered and uploaded once, on submit
   }
 
   addSimpleDesignParams() {
@@ -756,15 +1949,28 @@ async syncHiddenProps() {
     const coordinateData = this.captureTextCoordinates();
     
     const designParams = {
+      schemaVersion: TextLayoutEngine.DESIGN_SCHEMA_VERSION,
+      engineVersion: TextLayoutEngine.VERSION,
       translatedText: this.state.translatedText,
+      translationKind: this.state.translationKind,
+      translationSource: this.state.translationSource,
+      translationReading: this.getSelectedTranslationCandidate()?.reading || null,
+      translationRomaji: this.getSelectedTranslationCandidate()?.romaji || null,
       fontStyle: this.state.fontStyle,
+      fontFamily: this.config.fontFamilies[this.state.fontStyle] || 'Arial, sans-serif',
       fontColor: this.state.fontColor,
+      fontSize: this.state.fontSize,
+      maxFontSize: this.state.maxFontSize,
+      actualFontSize: this.state.actualFontSize,
       orientation: this.state.orientation,
+      alignment: this.state.currentLayout?.metadata.alignment || null,
+      placement: this.state.placement,
       originalText: this.state.originalText,
       canvasWidth: this.config.canvasWidth,
       canvasHeight: this.config.canvasHeight,
       textCoordinates: coordinateData // NEW: exact coordinates
     };
+    designParams.fingerprint = this.layoutEngine ? this.layoutEngine.getDesignFingerprint(designParams) : null;
 
     this.createOrUpdateHidden(
       'properties[_design_params]',
@@ -773,11 +1979,36 @@ async syncHiddenProps() {
     );
 
     console.log('✅ Design params with coordinates updated:', designParams);
+    return designParams;
   } catch (err) {
     console.warn('Failed to update design params:', err);
+    return null;
   }
 }
 
+/**
+ * Restore the designer from a _design_params blob (object or JSON string) and
+ * redraw it exactly; returns the engine's designCheck for regression checks.
+ */
+async loadDesignParams(params) {
+  const design = typeof params === 'string' ? JSON.parse(params) : params;
+  if (!design || !design.translatedText) throw new Error('Design params missing translatedText');
+
+  // library entries are as untrusted as storage and share links: same palette, size, placement and alignment checks
+  this.applyDesignFields({ ...design, hasTranslation: true, translationCandidates: [] });
+  if (!this.state.hasTranslation) throw new Error('Design params missing translatedText');
+
+  if (this.elements.textInput) this.elements.textInput.value = this.state.originalText;
+  this.setInitialDefaults();
+  this.updateCharCounter();
+  this.showTranslationResult(this.state.translatedText);
+  this.switchToBlankImage();
+  await this.updateAllComponentsWithLayout();
+
+  if (!this.layoutEngine || !this.state.currentLayout) return null;
+  return this.layoutEngine.layoutFromDesignParams(design, this.ctx).metadata.designCheck;
+}
+
 captureTextCoordinates() {
   if (!this.state.currentLayout || !this.state.hasTranslation) {
     return [];
@@ -785,31 +2016,22 @@ captureTextCoordinates() {
 
   const coordinates = [];
   const layout = this.state.currentLayout;
-  const printArea = layout.printArea; // This is the 200x270 area
+  const printArea = layout.printArea; // canvas rectangle of the selected placement (front: 200x270)
 
   // Capture each character's exact position RELATIVE to print area
   layout.positions.forEach((position, index) => {
     if (this.state.orientation === 'horizontal') {
-      if (position.useReducedSpacing && position.line.length > 1) {
-        let currentX = position.x;
-        const y = position.y;
-        const reduction = position.letterSpacingReduction || 0;
-        const extraSpacing = layout.fontSize * 0.12;
-        
-        for (let i = 0; i < position.line.length; i++) {
-          const char = position.line[i];
-          const charWidth = this.ctx.measureText(char).width;
-          
+      if (position.glyphs) {
+        // same per-glyph advance the engine fitted and the renderer drew
+        position.glyphs.forEach((glyph) => {
           coordinates.push({
-            char: char,
-            x: Math.round(currentX - printArea.x), // CONVERT TO PRINT AREA RELATIVE
-            y: Math.round(y - printArea.y),        // CONVERT TO PRINT AREA RELATIVE
+            char: glyph.char,
+            x: Math.round(glyph.x - printArea.x),    // CONVERT TO PRINT AREA RELATIVE
+            y: Math.round(position.y - printArea.y), // CONVERT TO PRINT AREA RELATIVE
             fontSize: layout.fontSize,
             lineIndex: index
           });
-          
-          currentX += charWidth - reduction + extraSpacing;
-        }
+        });
       } else {
         coordinates.push({
           char: position.line,
@@ -825,7 +2047,11 @@ captureTextCoordinates() {
         x: Math.round(position.x - printArea.x), // CONVERT TO PRINT AREA RELATIVE
         y: Math.round(position.y - printArea.y), // CONVERT TO PRINT AREA RELATIVE
         fontSize: layout.fontSize,
-        lineIndex: index
+        lineIndex: index,
+        rotation: position.rotation || 0,
+        offsetX: Math.round(position.offsetX || 0),
+        offsetY: Math.round(position.offsetY || 0),
+        scaleX: position.scaleX || 1
       });
     }
   });
@@ -835,8 +2061,8 @@ captureTextCoordinates() {
     printArea: {
       x: 0, // Now all coordinates are relative to 0,0 of print area
       y: 0,
-      width: printArea.width,  // 200
-      height: printArea.height // 270
+      width: printArea.width,
+      height: printArea.height
     },
     canvasSize: {
       width: this.config.canvasWidth,
@@ -844,7 +2070,8 @@ captureTextCoordinates() {
     },
     fontFamily: this.state.fontStyle,
     fontColor: this.state.fontColor,
-    orientation: this.state.orientation
+    orientation: this.state.orientation,
+    placement: layout.metadata.placement || this.state.placement
   };
 }
 
@@ -910,8 +2137,7 @@ captureTextCoordinates() {
       this.elements.addToCartBtn.disabled = true;
       if (cartText) cartText.textContent = 'Out of Stock';
     } else {
-      this.elements.addToCartBtn.disabled = !this.state.hasTranslation;
-      if (cartText && this.state.hasTranslation) cartText.textContent = 'Add to Cart';
+      this.updateAddToCartButton();
     }
   }
 
@@ -966,6 +2192,14 @@ captureTextCoordinates() {
     if (this.elements.japaneseResult) {
       this.elements.japaneseResult.textContent = translation;
     }
+    if (this.elements.translationNote) {
+      const offline = this.state.translationSource === 'offline';
+      this.elements.translationNote.textContent = offline
+        ? 'Translation service is busy – showing a phonetic katakana spelling. Try again later for more options.'
+        : '';
+      this.elements.translationNote.classList.toggle('hidden', !offline);
+    }
+    this.renderTranslationCandidates();
     if (this.elements.translationDisplay) {
       this.elements.translationDisplay.classList.remove('hidden');
     }
@@ -978,9 +2212,14 @@ captureTextCoordinates() {
     this.state.hasTranslation = false;
   }
 
-  showError(message) {
+  // type: 'network' | 'rate-limit' | 'server' | 'validation' | 'general' (styles the box, hides Retry for validation)
+  showError(message, type = 'general') {
     if (this.elements.errorText) this.elements.errorText.textContent = message;
-    if (this.elements.errorDisplay) this.elements.errorDisplay.classList.remove('hidden');
+    if (this.elements.retryBtn) this.elements.retryBtn.classList.toggle('hidden', type === 'validation');
+    if (this.elements.errorDisplay) {
+      this.elements.errorDisplay.dataset.errorType = type;
+      this.elements.errorDisplay.classList.remove('hidden');
+    }
   }
 
   hideError() {
@@ -992,9 +2231,16 @@ captureTextCoordinates() {
 
     const hasTranslation = this.state.hasTranslation;
     const cartText = this.elements.addToCartBtn.querySelector('.cart-text');
-
-    this.elements.addToCartBtn.disabled = !hasTranslation;
-    if (cartText) cartText.textContent = hasTranslation ? 'Add to Cart' : 'Translate Text First';
+    const unsupported = hasTranslation ? this.getUnrenderableChars() : [];
+    this.updateGlyphWarning(unsupported);
+
+    this.elements.addToCartBtn.disabled = !hasTranslation || unsupported.length > 0;
+    if (cartText) {
+      cartText.textContent = !hasTranslation
+        ? 'Translate Text First'
+        : unsupported.length ? 'Unsupported Characters' : 'Add to Cart';
+    }
+    if (this.elements.saveDesignBtn) this.elements.saveDesignBtn.disabled = !hasTranslation;
   }
 
   updateUI() {
@@ -1002,9 +2248,491 @@ captureTextCoordinates() {
     this.updateTranslateButton();
     this.updateAddToCartButton();
     this.updateFormProperties();
-    if (window.showPrintGuides && this.layoutEngine) {
-      this.drawPrintAreaGuides();
+    this.updateStartOverButton();
+    this.drawPrintAreaGuides();
+  }
+
+  updateStartOverButton() {
+    if (this.elements.startOverBtn) {
+      this.elements.startOverBtn.classList.toggle('hidden', !this.state.originalText && !this.state.hasTranslation);
+    }
+  }
+
+  // --- Undo / redo (design-state snapshots; the canvas is re-rendered from state) ---
+
+  getDesignSnapshot() {
+    return {
+      originalText: this.state.originalText,
+      translatedText: this.state.translatedText,
+      translationKind: this.state.translationKind,
+      translationCandidates: this.state.translationCandidates,
+      translationSource: this.state.translationSource,
+      hasTranslation: this.state.hasTranslation,
+      fontColor: this.state.fontColor,
+      fontColorChosen: this.state.fontColorChosen,
+      fontStyle: this.state.fontStyle,
+      fontSize: this.state.fontSize,
+      maxFontSize: this.state.maxFontSize,
+      orientation: this.state.orientation,
+      placement: this.state.placement,
+      alignment: { ...this.state.alignment }
+    };
+  }
+
+  recordHistory(label, before, mergeKey = null) {
+    this.history.record(label, before, this.getDesignSnapshot(), mergeKey);
+    this.updateHistoryButtons();
+  }
+
+  async undo() {
+    const entry = this.history.undo();
+    if (entry) await this.applyDesignSnapshot(entry.before);
+    this.updateHistoryButtons();
+  }
+
+  async redo() {
+    const entry = this.history.redo();
+    if (entry) await this.applyDesignSnapshot(entry.after);
+    this.updateHistoryButtons();
+  }
+
+  // Put a snapshot back into state and bring every control/preview in line with it
+  async applyDesignSnapshot(snapshot) {
+    Object.assign(this.state, snapshot, { alignment: { ...snapshot.alignment } });
+
+    this.elements.textInput.value = this.state.originalText;
+    if (this.elements.japaneseInput) this.elements.japaneseInput.value = this.state.translatedText;
+    this.setInitialDefaults();
+    this.updateCharCounter();
+    this.updateTranslateButton();
+    this.updateStartOverButton();
+    this.hideError();
+
+    if (snapshot.hasTranslation) {
+      this.showTranslationResult(this.state.translatedText);
+      this.switchToBlankImage();
+    } else {
+      this.hideTranslationResult();
+      this.clearCanvas();
+    }
+
+    await this.updateAllComponentsWithLayout();
+  }
+
+  updateHistoryButtons() {
+    const { undoBtn, redoBtn } = this.elements;
+    const nextUndo = this.history.undoStack[this.history.undoStack.length - 1];
+    const nextRedo = this.history.redoStack[this.history.redoStack.length - 1];
+
+    if (undoBtn) {
+      undoBtn.disabled = !nextUndo;
+      undoBtn.title = nextUndo ? `Undo ${nextUndo.label} (Ctrl+Z)` : 'Undo (Ctrl+Z)';
+    }
+    if (redoBtn) {
+      redoBtn.disabled = !nextRedo;
+      redoBtn.title = nextRedo ? `Redo ${nextRedo.label} (Ctrl+Shift+Z)` : 'Redo (Ctrl+Shift+Z)';
+    }
+  }
+
+  // Ctrl/Cmd+Z, Ctrl/Cmd+Shift+Z, Ctrl+Y; text fields keep their native undo
+  handleHistoryShortcut(e) {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+
+    const target = e.target;
+    if (target && (target.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(target.tagName))) {
+      const type = (target.type || '').toLowerCase();
+      if (target.tagName !== 'INPUT' || !['radio', 'checkbox', 'range', 'button'].includes(type)) return;
+    }
+
+    const key = e.key.toLowerCase();
+    if (key === 'z' && !e.shiftKey) {
+      e.preventDefault();
+      this.undo();
+    } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+      e.preventDefault();
+      this.redo();
+    }
+  }
+
+  // --- Design persistence (per product, survives reloads / cart round-trips) ---
+
+  saveDesignState() {
+    const snapshot = {
+      savedAt: Date.now(),
+      originalText: this.state.originalText,
+      translatedText: this.state.translatedText,
+      translationKind: this.state.translationKind,
+      translationCandidates: this.state.translationCandidates,
+      translationSource: this.state.translationSource,
+      inputMode: this.state.inputMode,
+      hasTranslation: this.state.hasTranslation,
+      fontStyle: this.state.fontStyle,
+      fontColor: this.state.fontColor,
+      fontColorChosen: this.state.fontColorChosen,
+      fontSize: this.state.fontSize,
+      maxFontSize: this.state.maxFontSize,
+      orientation: this.state.orientation,
+      placement: this.state.placement,
+      alignment: this.state.alignment,
+      variantId: this.elements.variantIdInput?.value || null
+    };
+
+    try {
+      window.localStorage.setItem(this.config.storage.key, JSON.stringify(snapshot));
+    } catch (err) {
+      // private mode / quota: persistence is best-effort
+      console.warn('Could not save design state:', err);
+    }
+  }
+
+  loadDesignState() {
+    try {
+      const raw = window.localStorage.getItem(this.config.storage.key);
+      if (!raw) return null;
+
+      const saved = JSON.parse(raw);
+      if (!saved || Date.now() - (saved.savedAt || 0) > this.config.storage.maxAgeMs) {
+        this.clearDesignState();
+        return null;
+      }
+      return saved;
+    } catch (err) {
+      console.warn('Could not read saved design state:', err);
+      return null;
+    }
+  }
+
+  clearDesignState() {
+    try {
+      window.localStorage.removeItem(this.config.storage.key);
+    } catch (err) {
+      console.warn('Could not clear design state:', err);
+    }
+  }
+
+  // Copy a saved design into state (unknown fonts/placements keep the defaults)
+  restoreDesignState() {
+    const saved = this.loadDesignState();
+    if (!saved) return null;
+
+    this.applyDesignFields(saved);
+
+    console.log('Restored saved design:', saved);
+    return saved;
+  }
+
+  /**
+   * Copy untrusted design fields (storage, share links) into state. Anything
+   * not in the section's fonts, color swatches, size range, placements or
+   * anchors is ignored and keeps its current value.
+   */
+  applyDesignFields(design) {
+    const clean = (value, maxLength) =>
+      String(value || '').replace(/[\u0000-\u001F\u007F]/g, '').slice(0, maxLength);
+    const { min, max } = this.config.fontSizeRange;
+    const size = Number(design.maxFontSize);
+
+    this.state.originalText = clean(design.originalText, this.config.maxTextLength);
+    this.state.translatedText = clean(design.translatedText, this.config.maxTranslatedLength);
+    this.state.hasTranslation = Boolean(design.hasTranslation && this.state.translatedText.trim());
+    this.state.translationKind = TShirtDesigner.detectScript(this.state.translatedText);
+    this.state.translationCandidates = (Array.isArray(design.translationCandidates) ? design.translationCandidates : [])
+      .slice(0, 6)
+      .filter((c) => c && typeof c.text === 'string' && c.text)
+      .map((c) => ({
+        text: clean(c.text, this.config.maxTranslatedLength),
+        kind: TShirtDesigner.TRANSLATION_KINDS.includes(c.kind) ? c.kind : TShirtDesigner.detectScript(c.text),
+        reading: clean(c.reading, this.config.maxTranslatedLength * 2),
+        romaji: clean(c.romaji, this.config.maxTranslatedLength * 4)
+      }));
+    if (TShirtDesigner.TRANSLATION_KINDS.includes(design.translationKind)) {
+      this.state.translationKind = design.translationKind;
+    }
+
+    if (Object.prototype.hasOwnProperty.call(this.config.fontFamilies, design.fontStyle)) {
+      this.state.fontStyle = design.fontStyle;
+    }
+    const color = this.getAllowedFontColors().find((c) => c.toUpperCase() === String(design.fontColor).toUpperCase());
+    if (color) {
+      this.state.fontColor = color;
+      // keeps a variant change (e.g. selectVariantById on restore) from
+      // re-picking the default ink; designs saved without the flag count as chosen
+      this.state.fontColorChosen = design.fontColorChosen !== false;
+    }
+
+    if (Number.isInteger(size) && size >= min && size <= max) {
+      const preset = Object.keys(this.config.fontSizePresets).find((key) => this.config.fontSizePresets[key] === size);
+      this.state.maxFontSize = size;
+      this.state.fontSize = this.config.fontSizePresets[design.fontSize] === size ? design.fontSize : preset || 'custom';
+    }
+    if (design.orientation === 'horizontal' || design.orientation === 'vertical') {
+      this.state.orientation = design.orientation;
+    }
+    if (this.layoutEngine && Object.prototype.hasOwnProperty.call(this.layoutEngine.config.placements, design.placement)) {
+      this.state.placement = design.placement;
+    }
+    this.state.alignment = this.sanitizeAlignment(design.alignment);
+  }
+
+  // Font colors offered by the section's swatches
+  getAllowedFontColors() {
+    return Array.from(this.elements.fontColorInputs || []).map((input) => input.value);
+  }
+
+  sanitizeAlignment(alignment) {
+    if (!alignment || typeof alignment !== 'object') return {};
+
+    const anchors = this.layoutEngine ? this.layoutEngine.config.anchors : {};
+    if (Object.prototype.hasOwnProperty.call(anchors, alignment.anchor)) return { anchor: alignment.anchor };
+
+    const result = {};
+    if (['left', 'center', 'right'].includes(alignment.align)) result.align = alignment.align;
+    if (['top', 'middle', 'bottom'].includes(alignment.verticalAlign)) result.verticalAlign = alignment.verticalAlign;
+    ['offsetX', 'offsetY'].forEach((key) => {
+      const value = Number(alignment[key]);
+      if (Number.isFinite(value) && value !== 0) result[key] = Math.max(-0.5, Math.min(0.5, value));
+    });
+    return result;
+  }
+
+  // Bring the page (text field, variant, preview) in line with a restored design
+  async applyRestoredDesign(saved) {
+    this.elements.textInput.value = this.state.originalText;
+    if (saved.translationSource === 'manual') this.state.translationSource = 'manual';
+    this.setInputMode(saved.inputMode, { focus: false });
+    this.updateCharCounter();
+    this.updateTranslateButton();
+    this.updateStartOverButton();
+
+    // a ?variant= in the URL wins over the saved variant
+    const urlVariant = new URLSearchParams(window.location.search).get('variant');
+    if (saved.variantId && !urlVariant) this.selectVariantById(saved.variantId);
+
+    if (this.state.hasTranslation) {
+      this.showTranslationResult(this.state.translatedText);
+      this.switchToBlankImage();
+      await this.updateAllComponentsWithLayout();
+    }
+  }
+
+  selectVariantById(variantId) {
+    const productData = window.productData || window.product;
+    const variant = productData?.variants?.find((v) => String(v.id) === String(variantId));
+    if (!variant) return;
+
+    variant.options.forEach((option, index) => {
+      document.querySelectorAll(`.variant-input[data-option-index="${index + 1}"]`).forEach((input) => {
+        input.checked = input.dataset.optionValue === option;
+      });
+    });
+    this.handleVariantChange();
+  }
+
+  // --- "My designs" library (logged-in customers only) ---
+
+  getDesignLibrary() {
+    if (this.designLibrary === undefined) {
+      this.designLibrary = typeof createDesignLibrary === 'function'
+        ? createDesignLibrary(this.config.designLibrary)
+        : null;
     }
+    return this.designLibrary;
+  }
+
+  // Current line-item properties, as the cart would receive them
+  getLineItemProperties() {
+    const properties = {};
+    if (!this.elements.form) return properties;
+
+    Array.from(this.elements.form.elements).forEach((el) => {
+      const match = el.name && el.name.match(/^properties\[(.+)\]$/);
+      if (match && el.value) properties[match[1]] = el.value;
+    });
+    return properties;
+  }
+
+  // Small shirt + text PNG (data URL) for the gallery
+  async createThumbnail(size = 240) {
+    const blob = await this.buildMockupBlob();
+    if (!blob) return null;
+
+    const bitmap = await createImageBitmap(blob);
+    const thumb = document.createElement('canvas');
+    thumb.width = size;
+    thumb.height = size;
+    thumb.getContext('2d').drawImage(bitmap, 0, 0, size, size);
+    return thumb.toDataURL('image/png');
+  }
+
+  async saveToDesignLibrary() {
+    const library = this.getDesignLibrary();
+    if (!library || !this.state.hasTranslation) return null;
+
+    const productData = window.productData || window.product || {};
+    const params = this.addSimpleDesignParams();
+
+    return library.save({
+      title: this.state.translatedText,
+      productUrl: productData.url || window.location.pathname,
+      productTitle: productData.title || '',
+      variantId: this.elements.variantIdInput?.value || null,
+      thumbnail: await this.createThumbnail(),
+      params,
+      properties: this.getLineItemProperties()
+    });
+  }
+
+  async handleSaveDesign() {
+    const { saveDesignBtn, saveDesignStatus } = this.elements;
+    const setStatus = (message) => {
+      if (saveDesignStatus) saveDesignStatus.textContent = message;
+    };
+
+    if (saveDesignBtn) saveDesignBtn.disabled = true;
+    setStatus('Saving…');
+    try {
+      await this.saveToDesignLibrary();
+      setStatus('Saved to My designs');
+    } catch (err) {
+      console.error('Could not save design:', err);
+      setStatus('Could not save your design. Please try again.');
+    } finally {
+      this.updateAddToCartButton();
+    }
+  }
+
+  // "Load into designer" links from the account page: ?design_id=<id>
+  async loadLibraryDesignFromUrl() {
+    const params = new URLSearchParams(window.location.search);
+    const id = params.get('design_id');
+    const library = this.getDesignLibrary();
+    if (!id || !library) return;
+
+    try {
+      const entry = await library.get(id);
+      if (entry?.params) await this.loadDesignParams(entry.params);
+    } catch (err) {
+      console.error('Could not load saved design:', err);
+      this.showError('That saved design could not be loaded.');
+    }
+
+    params.delete('design_id');
+    const query = params.toString();
+    window.history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}`);
+  }
+
+  // --- Shareable links (#design=<base64url JSON>; the hash never reaches the server) ---
+
+  getSharePayload() {
+    return {
+      v: 1,
+      o: this.state.originalText,
+      t: this.state.translatedText,
+      k: this.state.translationKind,
+      f: this.state.fontStyle,
+      c: this.state.fontColor,
+      i: this.state.fontColorChosen, // ink picked by the customer, not the shirt's default
+      s: this.state.maxFontSize,
+      r: this.state.orientation,
+      p: this.state.placement,
+      a: this.state.alignment
+    };
+  }
+
+  getShareUrl() {
+    const variantId = this.elements.variantIdInput?.value;
+    const url = `${window.location.origin}${window.location.pathname}${variantId ? `?variant=${variantId}` : ''}`;
+    if (!this.state.hasTranslation) return url;
+    return `${url}#design=${TShirtDesigner.encodeSharePayload(this.getSharePayload())}`;
+  }
+
+  // Point the section's <share-button> (assets/share.js) at the current design
+  updateShareLink() {
+    const shareButton = this.container.querySelector('share-button');
+    if (!shareButton) return;
+
+    const url = this.getShareUrl();
+    if (typeof shareButton.updateUrl === 'function') {
+      shareButton.updateUrl(url);
+    } else {
+      // not upgraded yet: its constructor reads the input value
+      const input = shareButton.querySelector('input');
+      if (input) input.value = url;
+    }
+  }
+
+  // Load a design from #design=…; never calls the translation API
+  readSharedDesign() {
+    const match = window.location.hash.match(/[#&]design=([A-Za-z0-9_-]+)/);
+    if (!match) return null;
+
+    let payload;
+    try {
+      payload = TShirtDesigner.decodeSharePayload(match[1]);
+    } catch (err) {
+      console.warn('Ignoring malformed design link:', err);
+      return null;
+    }
+    if (!payload || payload.v !== 1 || typeof payload.t !== 'string') return null;
+
+    this.applyDesignFields({
+      originalText: payload.o,
+      translatedText: payload.t,
+      translationKind: payload.k,
+      hasTranslation: true,
+      fontStyle: payload.f,
+      fontColor: payload.c,
+      fontColorChosen: payload.i,
+      maxFontSize: payload.s,
+      orientation: payload.r,
+      placement: payload.p,
+      alignment: payload.a
+    });
+
+    // the design now lives in state/storage; a reload should not re-apply the link
+    window.history.replaceState(null, '', `${window.location.pathname}${window.location.search}`);
+    console.log('Loaded shared design:', payload);
+    return { variantId: null };
+  }
+
+  handleStartOver() {
+    const before = this.getDesignSnapshot();
+    this.clearDesignState();
+
+    Object.assign(this.state, {
+      originalText: '',
+      translatedText: '',
+      translationKind: null,
+      translationCandidates: [],
+      translationSource: null,
+      hasTranslation: false,
+      fontColor: this.getDefaultFontColor(),
+      fontColorChosen: false,
+      fontStyle: 'Yuji Syuku',
+      fontSize: 'medium',
+      maxFontSize: this.config.fontSizePresets.medium,
+      orientation: 'horizontal',
+      alignment: {},
+      placement: 'front',
+      currentLayout: null
+    });
+
+    this.elements.textInput.value = '';
+    if (this.elements.japaneseInput) this.elements.japaneseInput.value = '';
+    this.hideTranslationResult();
+    this.hideError();
+    this.clearCanvas();
+    this.setInitialDefaults();
+    this.updateFontPreviewCards();
+    this.updateUI();
+
+    const variant = this.state.selectedVariant || this.findVariantByOptions(this.getSelectedOptions());
+    if (variant?.featured_image) this.updateMainImage(variant.featured_image.src);
+    this.state.isBlankImageActive = false;
+
+    // undoable, so an accidental reset is one click away from recovery
+    this.recordHistory('start over', before);
+    console.log('Design reset');
   }
 
   setText(text) {
@@ -1019,10 +2747,82 @@ captureTextCoordinates() {
   }
 }
 
-// Enhanced initialization with persistent print guides
+// UTF-8 JSON <-> base64url for share links
+TShirtDesigner.encodeSharePayload = function (payload) {
+  const bytes = new TextEncoder().encode(JSON.stringify(payload));
+  let binary = '';
+  bytes.forEach((b) => { binary += String.fromCharCode(b); });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+TShirtDesigner.TRANSLATION_KINDS = ['katakana', 'hiragana', 'kanji'];
+
+// Cache key: same words → same translation regardless of case, width or spacing
+TShirtDesigner.normalizeTranslationKey = function (text) {
+  return String(text).normalize('NFKC').trim().replace(/\s+/g, ' ').toLowerCase();
+};
+
+// setTimeout as a promise, rejected early when `signal` aborts
+TShirtDesigner.sleep = function (ms, signal) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(new DOMException('Translation cancelled', 'AbortError'));
+    }, { once: true });
+  });
+};
+
+// Katakana <-> hiragana share a reading; the blocks are 0x60 apart
+TShirtDesigner.toHiragana = function (text) {
+  return String(text).replace(/[\u30A1-\u30F6]/g, (ch) => String.fromCharCode(ch.charCodeAt(0) - 0x60));
+};
+
+TShirtDesigner.toKatakana = function (text) {
+  return String(text).replace(/[\u3041-\u3096]/g, (ch) => String.fromCharCode(ch.charCodeAt(0) + 0x60));
+};
+
+// Dominant script of a translation: any kanji → 'kanji', else the kana in use
+TShirtDesigner.detectScript = function (text) {
+  const value = String(text || '');
+  if (/[\u4E00-\u9FFF\u3400-\u4DBF]/.test(value)) return 'kanji';
+  if (/[\u30A1-\u30FA]/.test(value)) return 'katakana';
+  if (/[\u3041-\u3096]/.test(value)) return 'hiragana';
+  return 'other';
+};
+
+TShirtDesigner.hexToRgb = function (hex) {
+  const value = parseInt(String(hex).replace('#', ''), 16) || 0;
+  return { r: (value >> 16) & 255, g: (value >> 8) & 255, b: value & 255 };
+};
+
+// WCAG 2 contrast ratio between two #RRGGBB colors (1 … 21)
+TShirtDesigner.contrastRatio = function (a, b) {
+  const luminance = (hex) => {
+    const { r, g, b: blue } = TShirtDesigner.hexToRgb(hex);
+    const [R, G, B] = [r, g, blue].map((c) => {
+      const v = c / 255;
+      return v <= 0.03928 ? v / 12.92 : ((v + 0.055) / 1.055) ** 2.4;
+    });
+    return 0.2126 * R + 0.7152 * G + 0.0722 * B;
+  };
+  const [hi, lo] = [luminance(a), luminance(b)].sort((x, y) => y - x);
+  return (hi + 0.05) / (lo + 0.05);
+};
+
+TShirtDesigner.decodeSharePayload = function (encoded) {
+  const base64 = encoded.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64 + '='.repeat((4 - (base64.length % 4)) % 4));
+  const bytes = Uint8Array.from(binary, (ch) => ch.charCodeAt(0));
+  return JSON.parse(new TextDecoder().decode(bytes));
+};
+
+// Enhanced initialization
 // Guaranteed initialization that always exposes a global + ready event/promise
 // --- Robust bootstrap: ensure TextLayoutEngine is present before starting ---
 (function bootstrapDesigner() {
+  if (typeof document === 'undefined') return; // loaded headless (Node tests)
+
   const SECTION_SEL = '.minimalist-tshirt-designer';
 
   function start() {
@@ -1032,7 +2832,6 @@ captureTextCoordinates() {
     }
     try {
       window.tshirtDesigner = new TShirtDesigner();
-      window.showPrintGuides = true;
       requestAnimationFrame(() => window.tshirtDesigner.updateCanvasWithLayout());
       window.dispatchEvent(new CustomEvent('designer:ready', { detail: { instance: window.tshirtDesigner } }));
       console.log('[TSD] ready');
@@ -1103,10 +2902,17 @@ captureTextCoordinates() {
 
 
 // Optional: a promise you can await from the Console
-window.designerReady = new Promise(res => { window.__designerReadyResolve = res; });
+if (typeof window !== 'undefined') {
+  window.designerReady = new Promise(res => { window.__designerReadyResolve = res; });
+}
 
 
 // Export for testing
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = TShirtDesigner;
+  module.exports.HttpTranslationProvider = HttpTranslationProvider;
+  module.exports.RomajiTransliterator = RomajiTransliterator;
+  module.exports.MockTranslationProvider = MockTranslationProvider;
+  module.exports.TranslationError = TranslationError;
+  module.exports.LruCache = LruCache;
 }
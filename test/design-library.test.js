@@ -0,0 +1,146 @@
+/**
+ * Design library backends (node --test); window/fetch are minimal stand-ins
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+global.window = { location: { origin: 'https://shop.example' } };
+const { LocalDesignLibrary, HttpDesignLibrary, createDesignLibrary, toProductPath } = require('../assets/design-library.js');
+
+class MemoryStorage {
+  constructor() {
+    this.items = new Map();
+  }
+
+  getItem(key) {
+    return this.items.has(key) ? this.items.get(key) : null;
+  }
+
+  setItem(key, value) {
+    this.items.set(key, String(value));
+  }
+}
+
+// localStorage that throws like a browser once a value exceeds `quota` characters
+class FullStorage extends MemoryStorage {
+  constructor(quota) {
+    super();
+    this.quota = quota;
+  }
+
+  setItem(key, value) {
+    if (String(value).length > this.quota) throw new Error('QuotaExceededError');
+    super.setItem(key, value);
+  }
+}
+
+describe('createDesignLibrary', () => {
+  beforeEach(() => {
+    delete window.tshirtDesignLibrary;
+    window.localStorage = new MemoryStorage();
+  });
+
+  it('needs a logged-in customer', () => {
+    assert.equal(createDesignLibrary({ url: '/apps/designs' }), null);
+  });
+
+  it('uses the app proxy when configured, localStorage otherwise', () => {
+    assert.ok(createDesignLibrary({ url: '/apps/designs', customerId: '42' }) instanceof HttpDesignLibrary);
+    assert.ok(createDesignLibrary({ customerId: '42' }) instanceof LocalDesignLibrary);
+  });
+
+  it('refuses endpoints that would not carry a Shopify-signed customer id', () => {
+    const errors = console.error;
+    console.error = () => {};
+    try {
+      ['https://designs.example/api', '//designs.example/apps/x', '/api/designs', '/apps/'].forEach((url) => {
+        assert.equal(createDesignLibrary({ url, customerId: '42' }), null, url);
+      });
+    } finally {
+      console.error = errors;
+    }
+  });
+});
+
+describe('HttpDesignLibrary', () => {
+  it('sends no client-side customer id', async () => {
+    const requests = [];
+    global.fetch = async (url, options) => {
+      requests.push({ url, options });
+      return { ok: true, status: 200, json: async () => [] };
+    };
+
+    const library = new HttpDesignLibrary('/apps/designs/');
+    await library.list();
+    await library.get('abc 1');
+
+    assert.deepEqual(requests.map((r) => r.url), ['/apps/designs', '/apps/designs/abc%201']);
+    assert.equal(requests[0].options.credentials, 'same-origin');
+    requests.forEach((r) => assert.ok(!/customer/i.test(r.url)));
+  });
+});
+
+describe('LocalDesignLibrary', () => {
+  it('replaces an older entry with the same fingerprint', async () => {
+    const library = new LocalDesignLibrary('42', new MemoryStorage());
+    await library.save({ title: 'a', params: { fingerprint: 'f1' } });
+    await library.save({ title: 'b', params: { fingerprint: 'f1' } });
+    await library.save({ title: 'c', params: { fingerprint: 'f2' } });
+
+    const titles = (await library.list()).map((entry) => entry.title).sort();
+    assert.deepEqual(titles, ['b', 'c']);
+  });
+
+  it('keeps only the newest entries', async () => {
+    const library = new LocalDesignLibrary('42', new MemoryStorage(), 3);
+    for (const title of ['a', 'b', 'c', 'd', 'e']) {
+      await library.save({ title, params: { fingerprint: title } });
+    }
+
+    assert.equal(await library.get('a'), null);
+    assert.equal((await library.list()).length, 3);
+  });
+
+  it('drops older thumbnails, then older entries, when storage is full', async () => {
+    const thumbnail = `data:image/png;base64,${'A'.repeat(1000)}`;
+    const library = new LocalDesignLibrary('42', new FullStorage(2500));
+    for (const title of ['a', 'b', 'c']) {
+      await library.save({ title, thumbnail, params: { fingerprint: title } });
+    }
+
+    const entries = await library.list();
+    assert.deepEqual(entries.map((entry) => entry.title), ['c', 'b', 'a']);
+    assert.equal(entries[0].thumbnail, thumbnail);
+    assert.equal(entries.filter((entry) => entry.thumbnail).length, 2);
+
+    const large = `data:image/png;base64,${'B'.repeat(2200)}`;
+    await library.save({ title: 'd', thumbnail: large, params: { fingerprint: 'd' } });
+    const kept = await library.list();
+    assert.equal(kept[0].thumbnail, large);
+    assert.ok(kept.slice(1).every((entry) => !entry.thumbnail));
+    assert.deepEqual(kept.map((entry) => entry.title), ['d', 'c', 'b']);
+  });
+});
+
+describe('toProductPath', () => {
+  it('accepts product pages of this shop', () => {
+    assert.equal(toProductPath('/products/custom-tee'), '/products/custom-tee');
+    assert.equal(toProductPath('/fr/products/custom-tee?variant=1'), '/fr/products/custom-tee');
+    assert.equal(toProductPath('https://shop.example/products/custom-tee'), '/products/custom-tee');
+  });
+
+  it('rejects scripts, other origins and other pages', () => {
+    [
+      'javascript:alert(1)',
+      ' JavaScript:alert(1)',
+      'data:text/html,<script>alert(1)</script>',
+      'https://evil.example/products/custom-tee',
+      '//evil.example/products/custom-tee',
+      '/account/logout',
+      '/products/',
+      '',
+      null
+    ].forEach((url) => assert.equal(toProductPath(url), null, String(url)));
+  });
+});
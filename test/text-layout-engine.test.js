@@ -0,0 +1,380 @@
+/**
+ * Headless TextLayoutEngine tests (node --test)
+ * Every layout here is measured by FontMetricsMeasurer; no canvas involved.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const TextLayoutEngine = require('../assets/text-layout-engine.js');
+
+const { FontMetricsMeasurer, CanvasTextMeasurer } = TextLayoutEngine;
+const FONTS = Object.keys(FontMetricsMeasurer.defaultMetrics).filter((name) => name !== 'default');
+const ORIENTATIONS = ['horizontal', 'vertical'];
+
+// phrase → expected line (horizontal) / column (vertical) count at the default 40px ceiling
+const PHRASES = [
+  { text: 'カタカナ', horizontal: 1, vertical: 1 },
+  { text: 'こんにちは世界', horizontal: 2, vertical: 1 },
+  { text: 'ありがとうございました、またね。', horizontal: 4, vertical: 3 },
+  { text: '「東京タワー」へ行きましょう', horizontal: 4, vertical: 2 },
+  { text: 'ジャパニーズ・ティーシャツ・デザイナー2024年', horizontal: 4, vertical: 4 },
+  { text: 'Hello brave new world friends', horizontal: 4, vertical: 4 }
+];
+
+const createEngine = () => new TextLayoutEngine(600, 600);
+
+function assertKinsoku(engine, lines) {
+  const { noLineStart, noLineEnd } = engine.config.kinsoku;
+  lines.forEach((line, index) => {
+    const chars = Array.from(line);
+    if (index > 0) {
+      assert.ok(!noLineStart.includes(chars[0]), `line ${index} starts with "${chars[0]}": ${JSON.stringify(lines)}`);
+    }
+    if (index < lines.length - 1) {
+      const last = chars[chars.length - 1];
+      assert.ok(!noLineEnd.includes(last), `line ${index} ends with "${last}": ${JSON.stringify(lines)}`);
+    }
+  });
+}
+
+function assertHeadroom(headroom) {
+  ['top', 'right', 'bottom', 'left'].forEach((side) => {
+    assert.ok(headroom[side] >= -1e-9, `${side} headroom ${headroom[side]} < 0`);
+  });
+}
+
+describe('FontMetricsMeasurer', () => {
+  it('sets CJK full-width and Latin at each font\'s average advance', () => {
+    const measurer = new FontMetricsMeasurer();
+    FONTS.forEach((font) => {
+      const metrics = FontMetricsMeasurer.defaultMetrics[font];
+      assert.equal(measurer.measure('カタカナ', 40, font).width, 160);
+      assert.equal(measurer.measure('ab', 40, `${font}, serif`).width, 2 * metrics.latin * 40);
+      assert.equal(measurer.measure('あ', 40, font).actualBoundingBoxAscent, metrics.ascent * 40);
+    });
+  });
+
+  it('falls back to the default metrics for unknown fonts', () => {
+    const measurer = new FontMetricsMeasurer();
+    assert.equal(measurer.measure('a', 10, 'Comic Sans').width, FontMetricsMeasurer.defaultMetrics.default.latin * 10);
+  });
+});
+
+describe('CanvasTextMeasurer', () => {
+  it('sets the context font and delegates to measureText', () => {
+    const fonts = [];
+    const ctx = {
+      font: '',
+      measureText(text) {
+        fonts.push(this.font);
+        return { width: text.length * 10 };
+      }
+    };
+    const engine = createEngine();
+
+    assert.equal(engine.textWidth('abc', 20, 'Huninn', ctx), 30);
+    assert.deepEqual(fonts, ['20px Huninn']);
+    assert.ok(engine.resolveMeasurer(ctx) instanceof CanvasTextMeasurer);
+  });
+});
+
+describe('fitText (headless)', () => {
+  ORIENTATIONS.forEach((orientation) => {
+    describe(orientation, () => {
+      FONTS.forEach((font) => {
+        PHRASES.forEach((phrase) => {
+          it(`${font}: ${phrase.text}`, () => {
+            const engine = createEngine();
+            const layout = engine.fitText(phrase.text, 40, font, null, orientation);
+            const limit = orientation === 'vertical' ? engine.config.maxColumns : engine.config.maxLines;
+
+            assert.equal(layout.lines.length, phrase[orientation]);
+            assert.ok(layout.lines.length <= limit);
+            assert.ok(layout.fontSize >= engine.config.minFontSize && layout.fontSize <= 40);
+            assert.equal(layout.metadata.orientation, orientation);
+            assertHeadroom(layout.metadata.headroom);
+            assertKinsoku(engine, layout.lines);
+
+            // breaking never drops or reorders characters
+            if (orientation === 'vertical') {
+              assert.equal(layout.lines.join(''), engine.cleanTextForVertical(phrase.text));
+            } else {
+              assert.equal(layout.lines.join('').replace(/\s/g, ''), phrase.text.replace(/\s/g, ''));
+            }
+          });
+        });
+      });
+    });
+  });
+
+  it('returns an empty layout for blank text', () => {
+    const layout = createEngine().fitText('   ', 40, 'Huninn', null, 'vertical');
+    assert.equal(layout.metadata.empty, true);
+    assert.deepEqual(layout.positions, []);
+  });
+
+  it('measures each character once per size instead of once per split', () => {
+    const engine = createEngine();
+    const metrics = new FontMetricsMeasurer();
+    let calls = 0;
+    const counting = {
+      measure(text, fontSize, fontFamily) {
+        calls++;
+        return metrics.measure(text, fontSize, fontFamily);
+      }
+    };
+    const text = 'あいうえおかきくけこさしすせそたちつてと'.repeat(2);
+
+    const layout = engine.fitText(text, 40, 'Huninn', counting, 'horizontal');
+    assert.equal(layout.lines.length, 4);
+    assert.ok(calls < 2000, `${calls} measure calls`);
+  });
+
+  it('splits into the balanced minimum of the longest line', () => {
+    const engine = createEngine();
+    const widths = [3, 1, 1, 1, 3, 2];
+    const spanWidth = (from, to) => widths.slice(from, to).reduce((sum, w) => sum + w, 0);
+    const split = engine.findBalancedLineSplit(['a', 'b', 'c', 'd', 'e', 'f'], 3, spanWidth, '');
+
+    // ab|cde|f and abc|de|f also peak at 5, but spread further
+    assert.deepEqual(split.lines, ['a', 'bcd', 'ef']);
+    assert.equal(split.maxWidth, 5);
+    assert.equal(split.spread, 2);
+  });
+
+  it('keeps kinsoku constraints when forced onto many lines', () => {
+    const engine = createEngine();
+    const text = 'ちょっと「待って」ください、ねー。';
+    FONTS.forEach((font) => {
+      const lines = engine.createHorizontalLinesWithKinsoku(text, 40, font, null, { width: 60, height: 1000 });
+      assert.equal(lines.length, engine.config.maxLines);
+      assertKinsoku(engine, lines);
+    });
+  });
+});
+
+describe('createLayoutAtSize / calculatePositions (headless)', () => {
+  FONTS.forEach((font) => {
+    it(`${font}: horizontal lines stack top to bottom`, () => {
+      const engine = createEngine();
+      const textArea = engine.getTextArea('horizontal');
+      const layout = engine.createLayoutAtSize('ありがとうございました', 30, font, null, 'horizontal', textArea);
+
+      assert.equal(layout.positions.length, layout.lines.length);
+      layout.positions.forEach((pos, i) => {
+        assert.equal(pos.glyphs.length, Array.from(layout.lines[i]).length);
+        if (i > 0) assert.equal(Math.round((pos.y - layout.positions[i - 1].y) * 100) / 100, layout.lineHeight);
+      });
+    });
+
+    it(`${font}: vertical columns run right to left`, () => {
+      const engine = createEngine();
+      const textArea = engine.getTextArea('vertical');
+      const lines = ['ありがとう', 'ございます'];
+      const positions = engine.calculatePositions(lines, 30, font, 33, null, 'vertical', textArea);
+
+      assert.equal(positions.length, 10);
+      const columnX = lines.map((_, column) => positions.find((pos) => pos.columnIndex === column).x);
+      assert.ok(columnX[0] > columnX[1]);
+      positions.filter((pos) => pos.columnIndex === 0).forEach((pos, i, column) => {
+        if (i > 0) assert.ok(pos.y > column[i - 1].y);
+      });
+    });
+
+    it(`${font}: upright half-width glyphs are centered in the em cell`, () => {
+      const engine = createEngine();
+      const textArea = engine.getTextArea('vertical');
+      const layout = engine.createLayoutAtSize('A2024年', 40, font, null, 'vertical', textArea);
+      const [latin, ...rest] = layout.positions;
+      const kanji = rest[rest.length - 1];
+      const center = (pos) => {
+        const bounds = engine.getLayoutInkBounds({ ...layout, positions: [pos] });
+        return (bounds.left + bounds.right) / 2;
+      };
+
+      assert.deepEqual(rest.map((pos) => pos.line), ['2', '0', '2', '4', '年']);
+      assert.ok(Math.abs(center(latin) - center(kanji)) < 1e-9);
+      rest.slice(0, 4).forEach((digit) => assert.ok(Math.abs(center(digit) - center(kanji)) < 1e-9));
+    });
+  });
+});
+
+describe('createPrintLayout', () => {
+  it('renders the front placement at 12×16in @ 300 DPI', () => {
+    const engine = createEngine();
+    const layout = engine.fitText('カタカナ', 40, 'Huninn', null, 'horizontal');
+    const print = engine.createPrintLayout(layout);
+
+    assert.deepEqual(print.metadata.printPixels, { width: 3600, height: 4800, dpi: 300 });
+  });
+
+  it('lowers the DPI to stay under a canvas pixel limit', () => {
+    const engine = createEngine();
+    const layout = engine.fitText('カタカナ', 40, 'Huninn', null, 'vertical');
+    const print = engine.createPrintLayout(layout, null, { maxPixels: 16777216 });
+    const { width, height, dpi } = print.metadata.printPixels;
+
+    assert.ok(width * height <= 16777216);
+    assert.equal(dpi, 295);
+    assert.deepEqual([width, height], [12 * dpi, 16 * dpi]);
+    assert.deepEqual(print.printArea, { x: 0, y: 0, width, height });
+  });
+});
+
+describe('exportSVG', () => {
+  it('sizes preview and print exports to the placement\'s print area', () => {
+    const engine = createEngine();
+    ['front', 'back', 'left-chest', 'sleeve'].forEach((placement) => {
+      const layout = engine.fitText('カタカナ', 40, 'Huninn', null, 'horizontal', { placement });
+      const { widthInches, heightInches } = engine.getPlacement(placement).printArea;
+      const size = `width="${widthInches}in" height="${heightInches}in"`;
+
+      assert.ok(engine.exportSVG(layout).includes(size), `${placement} preview`);
+      assert.ok(engine.exportSVG(engine.createPrintLayout(layout)).includes(size), `${placement} print`);
+    });
+  });
+});
+
+describe('exportForPrintful', () => {
+  it('converts x / width by the print width and y / height by the print height', () => {
+    const engine = createEngine();
+    ['front', 'back', 'left-chest', 'sleeve'].forEach((placement) => {
+      const layout = engine.fitText('ありがとう', 40, 'Huninn', null, 'horizontal', { placement });
+      const { canvas, printArea } = engine.getPlacement(placement);
+      const exported = engine.exportForPrintful(layout);
+
+      exported.textElements.forEach((element, i) => {
+        const pos = layout.positions[i];
+        assert.ok(Math.abs(element.x - (pos.x - canvas.x) * printArea.widthInches / canvas.width) < 1e-9, placement);
+        assert.ok(Math.abs(element.y - (pos.y - canvas.y) * printArea.heightInches / canvas.height) < 1e-9, placement);
+        assert.ok(Math.abs(element.height - pos.height * printArea.heightInches / canvas.height) < 1e-9, placement);
+      });
+    });
+  });
+});
+
+describe('design params', () => {
+  // _design_params as the designer writes them for a fitted layout
+  function createDesignParams(engine, overrides = {}) {
+    const input = { translatedText: 'ありがとう', fontFamily: 'Huninn', maxFontSize: 40, orientation: 'vertical', placement: 'back', ...overrides };
+    const layout = engine.fitText(input.translatedText, input.maxFontSize, input.fontFamily, null, input.orientation, { placement: input.placement });
+    const params = {
+      schemaVersion: TextLayoutEngine.DESIGN_SCHEMA_VERSION,
+      engineVersion: TextLayoutEngine.VERSION,
+      originalText: 'thank you',
+      fontStyle: 'Huninn',
+      fontColor: '#1a1a1a',
+      actualFontSize: layout.fontSize,
+      alignment: layout.metadata.alignment,
+      ...input
+    };
+    params.fingerprint = engine.getDesignFingerprint(params);
+    return { params, layout };
+  }
+
+  it('fingerprints the same design identically regardless of key order and color case', () => {
+    const engine = createEngine();
+    const { params } = createDesignParams(engine);
+    const reordered = Object.fromEntries(Object.entries(params).reverse());
+
+    assert.equal(engine.getDesignFingerprint(reordered), params.fingerprint);
+    assert.equal(engine.getDesignFingerprint({ ...params, fontColor: '#1A1A1A' }), params.fingerprint);
+    assert.notEqual(engine.getDesignFingerprint({ ...params, translatedText: 'ありがと' }), params.fingerprint);
+    assert.notEqual(engine.getDesignFingerprint({ ...params, placement: 'front' }), params.fingerprint);
+  });
+
+  it('round-trips through JSON to the same font size and positions', () => {
+    const engine = createEngine();
+    ORIENTATIONS.forEach((orientation) => {
+      const { params, layout } = createDesignParams(engine, { orientation });
+      const restored = createEngine().layoutFromDesignParams(JSON.stringify(params));
+
+      assert.equal(restored.fontSize, layout.fontSize);
+      assert.deepEqual(restored.lines, layout.lines);
+      assert.deepEqual(restored.positions, layout.positions);
+      assert.deepEqual(restored.metadata.designCheck, {
+        fingerprint: params.fingerprint,
+        fingerprintMatches: true,
+        engineVersionMatches: true,
+        fontSizeMatches: true
+      });
+    });
+  });
+
+  it('flags a different engine version, a tampered fingerprint and a changed font size', () => {
+    const engine = createEngine();
+    const { params } = createDesignParams(engine);
+
+    const older = engine.layoutFromDesignParams({ ...params, engineVersion: '2020-01-01-a' }).metadata.designCheck;
+    assert.equal(older.engineVersionMatches, false);
+    assert.equal(older.fingerprintMatches, false); // the version is part of the identity
+
+    const edited = engine.layoutFromDesignParams({ ...params, translatedText: 'さようなら' }).metadata.designCheck;
+    assert.equal(edited.fingerprintMatches, false);
+    assert.equal(edited.engineVersionMatches, true);
+
+    const resized = engine.layoutFromDesignParams({ ...params, actualFontSize: params.actualFontSize + 1 }).metadata.designCheck;
+    assert.equal(resized.fontSizeMatches, false);
+    assert.equal(resized.fingerprintMatches, true);
+  });
+
+  it('refuses params without text', () => {
+    assert.throws(() => createEngine().layoutFromDesignParams({ fontFamily: 'Huninn' }), /translatedText/);
+  });
+});
+
+describe('resolveAlignment / anchors', () => {
+  it('uses the orientation\'s default anchor, or the placement\'s own', () => {
+    const engine = createEngine();
+
+    assert.equal(engine.resolveAlignment('horizontal').anchor, 'chest-center');
+    assert.equal(engine.resolveAlignment('vertical').anchor, 'chest-right');
+    assert.equal(engine.resolveAlignment('vertical', { placement: 'back' }).anchor, 'upper-back');
+    ['left-chest', 'sleeve'].forEach((placement) => {
+      assert.equal(engine.resolveAlignment('horizontal', { placement }).anchor, 'center');
+    });
+  });
+
+  it('expands an anchor into its preset and lets explicit options override it', () => {
+    const engine = createEngine();
+
+    assert.deepEqual(engine.resolveAlignment('horizontal', { anchor: 'chest-right' }), {
+      anchor: 'chest-right', align: 'right', verticalAlign: 'top', offsetX: -0.06, offsetY: 0
+    });
+    assert.deepEqual(engine.resolveAlignment('horizontal', { anchor: 'chest-center', offsetY: 0 }), {
+      anchor: 'chest-center', align: 'center', verticalAlign: 'top', offsetX: 0, offsetY: 0
+    });
+    // explicit alignment without an anchor skips the default preset
+    assert.deepEqual(engine.resolveAlignment('vertical', { align: 'left' }), {
+      anchor: null, align: 'left', verticalAlign: 'top', offsetX: 0, offsetY: 0
+    });
+    assert.equal(engine.resolveAlignment('horizontal', { anchor: 'nowhere', align: 'right' }).anchor, null);
+  });
+
+  it('places the ink at the aligned edge or center of the text area', () => {
+    const engine = createEngine();
+    const area = engine.getTextArea('horizontal');
+    const bounds = (options) => {
+      const layout = engine.fitText('カタカナ', 30, 'Huninn', null, 'horizontal', options);
+      assert.deepEqual(layout.metadata.alignment, engine.resolveAlignment('horizontal', options));
+      return engine.getLayoutInkBounds(layout);
+    };
+
+    const topLeft = bounds({ align: 'left', verticalAlign: 'top' });
+    assert.ok(Math.abs(topLeft.left - area.x) < 1);
+    assert.ok(Math.abs(topLeft.top - area.y) < 1);
+
+    const bottomRight = bounds({ align: 'right', verticalAlign: 'bottom' });
+    assert.ok(Math.abs(bottomRight.right - (area.x + area.width)) < 1);
+    assert.ok(Math.abs(bottomRight.bottom - (area.y + area.height)) < 1);
+
+    const centered = bounds({ anchor: 'center' });
+    assert.ok(Math.abs((centered.left + centered.right) / 2 - (area.x + area.width / 2)) < 1);
+    assert.ok(Math.abs((centered.top + centered.bottom) / 2 - (area.y + area.height / 2)) < 1);
+
+    // offsets move the ink by that fraction of the text area
+    const shifted = bounds({ align: 'left', verticalAlign: 'top', offsetX: 0.1, offsetY: 0.1 });
+    assert.ok(Math.abs(shifted.left - topLeft.left - area.width * 0.1) < 1);
+    assert.ok(Math.abs(shifted.top - topLeft.top - area.height * 0.1) < 1);
+  });
+});
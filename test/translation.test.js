@@ -0,0 +1,240 @@
+/**
+ * Translation pipeline (node --test): error types, providers, and the
+ * designer's cache / dedupe / cancel / retry / offline fallback. The designer
+ * is built from its prototype, so no DOM is needed.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const TShirtDesigner = require('../assets/tshirt-designer.js');
+
+const { TranslationError, LruCache, HttpTranslationProvider, MockTranslationProvider, RomajiTransliterator } = TShirtDesigner;
+
+const CAT = [{ text: '猫', kind: 'kanji', reading: 'ねこ', romaji: 'neko' }];
+
+// input → offline katakana (romaji and common English spellings)
+const TRANSLITERATIONS = [
+  ['sakura', 'サクラ'],
+  ['konnichiwa', 'コンニチワ'],
+  ["shin'ichi", 'シンイチ'],
+  ['kitte', 'キッテ'],
+  ['zasshi', 'ザッシ'],
+  ['matcha', 'マッチャ'],
+  ['Hello world', 'ヘロ・ウォールド'],
+  ['Mitchell', 'ミッチェル'],
+  ['Chris', 'クリス'],
+  ['Christopher', 'クリストフェル'],
+  ['Michael', 'ミカエル'],
+  ['Chloe', 'クロエ'],
+  ['Nick', 'ニック'],
+  ['Scott', 'スコット'],
+  ['Emma', 'エマ'],
+  ['Anna', 'アンナ'],
+  ['Harry', 'ハリー'],
+  ['Emily', 'エミリー'],
+  ['John', 'ジョン'],
+  ['Sarah', 'サラ'],
+  ['Mark', 'マーク'],
+  ['Martin', 'マーティン'],
+  ['Jackson', 'ジャクソン']
+];
+
+function createDesigner(provider, translation = {}) {
+  const designer = Object.create(TShirtDesigner.prototype);
+  designer.config = {
+    maxTextLength: 16,
+    translation: { timeoutMs: 1000, retries: 2, retryDelayMs: 1, cacheSize: 2, offlineFallback: true, ...translation }
+  };
+  designer.state = { isTranslating: false };
+  designer.translationCache = new LruCache(designer.config.translation.cacheSize);
+  designer.pendingTranslations = new Map();
+  designer.translationController = null;
+  designer.translationRequestId = 0;
+  designer.translationProvider = provider;
+  return designer;
+}
+
+// Provider failing the first `failures` calls with `error`, then answering `data`
+function flakyProvider(failures, error, data = { success: true, translations: CAT }) {
+  return {
+    calls: 0,
+    async translate() {
+      this.calls++;
+      if (this.calls <= failures) throw error;
+      return data;
+    }
+  };
+}
+
+describe('translation pipeline', () => {
+  const quiet = {};
+  before(() => {
+    ['log', 'warn'].forEach((name) => {
+      quiet[name] = console[name];
+      console[name] = () => {};
+    });
+  });
+  after(() => Object.assign(console, quiet));
+
+  describe('TranslationError.classify', () => {
+    it('types plain errors by status', () => {
+      assert.equal(TranslationError.classify(new TypeError('Failed to fetch')), 'network');
+      assert.equal(TranslationError.classify({ status: 429 }), 'rate-limit');
+      assert.equal(TranslationError.classify({ status: 503 }), 'server');
+      assert.equal(TranslationError.classify({ status: 400 }), 'validation');
+      assert.equal(TranslationError.classify(new TranslationError('x', { type: 'server', status: 400 })), 'server');
+    });
+  });
+
+  describe('LruCache', () => {
+    it('evicts the least recently used entry', () => {
+      const cache = new LruCache(2);
+      cache.set('a', 1);
+      cache.set('b', 2);
+      cache.get('a');
+      cache.set('c', 3);
+
+      assert.equal(cache.get('b'), undefined);
+      assert.equal(cache.get('a'), 1);
+      assert.equal(cache.get('c'), 3);
+    });
+  });
+
+  describe('HttpTranslationProvider', () => {
+    const response = (status, body, headers = {}) => ({
+      ok: status < 400,
+      status,
+      headers: { get: (name) => headers[name] || null },
+      json: async () => body
+    });
+
+    it('maps HTTP failures to typed errors', async () => {
+      const provider = new HttpTranslationProvider('/translate');
+      const cases = [
+        [response(429, {}, { 'Retry-After': '7' }), { type: 'rate-limit', retryAfterMs: 7000 }],
+        [response(502, {}), { type: 'server', status: 502 }],
+        [response(422, { error: 'Too long' }), { type: 'validation', message: 'Too long' }]
+      ];
+
+      for (const [answer, expected] of cases) {
+        global.fetch = async () => answer;
+        await assert.rejects(provider.translate('cat'), expected);
+      }
+
+      global.fetch = async () => { throw new TypeError('Failed to fetch'); };
+      await assert.rejects(provider.translate('cat'), { type: 'network' });
+      delete global.fetch;
+    });
+  });
+
+  describe('RomajiTransliterator', () => {
+    const transliterator = new RomajiTransliterator();
+    TRANSLITERATIONS.forEach(([input, katakana]) => {
+      it(`${input} → ${katakana}`, () => {
+        assert.equal(transliterator.transliterate(input), katakana);
+      });
+    });
+  });
+
+  describe('MockTranslationProvider', () => {
+    it('answers canned inputs, transliterates others and can fail on demand', async () => {
+      const provider = new MockTranslationProvider({ cat: CAT });
+
+      assert.deepEqual((await provider.translate('Cat')).translations, CAT);
+      assert.equal((await provider.translate('sakura')).translations[0].text, 'サクラ');
+      assert.equal(provider.calls.length, 2);
+
+      await assert.rejects(new MockTranslationProvider({}, { failWithStatus: 429 }).translate('cat'), { type: 'rate-limit' });
+    });
+  });
+
+  describe('requestTranslation', () => {
+    it('serves repeated input from the cache, ignoring case and spacing', async () => {
+      const provider = new MockTranslationProvider({ cat: CAT });
+      const designer = createDesigner(provider);
+
+      await designer.requestTranslation('cat');
+      const again = await designer.requestTranslation('  CAT ');
+
+      assert.equal(provider.calls.length, 1);
+      assert.deepEqual(again.data.translations, CAT);
+    });
+
+    it('shares one request between concurrent calls for the same input', async () => {
+      const provider = new MockTranslationProvider({ cat: CAT }, { delayMs: 5 });
+      const designer = createDesigner(provider);
+
+      const [first, second] = await Promise.all([designer.requestTranslation('cat'), designer.requestTranslation('Cat')]);
+
+      assert.equal(provider.calls.length, 1);
+      assert.equal(first, second);
+      assert.equal(designer.pendingTranslations.size, 0);
+    });
+
+    it('aborts the in-flight request when another input supersedes it', async () => {
+      const provider = new MockTranslationProvider({ cat: CAT }, { delayMs: 20 });
+      const designer = createDesigner(provider);
+
+      const superseded = designer.requestTranslation('dog');
+      const current = designer.requestTranslation('cat');
+
+      await assert.rejects(superseded, { name: 'AbortError' });
+      assert.deepEqual((await current).data.translations, CAT);
+      assert.ok(provider.calls[0].options.signal.aborted);
+    });
+
+    it('retries network and server failures with exponential backoff', async () => {
+      const sleep = TShirtDesigner.sleep;
+      const delays = [];
+      TShirtDesigner.sleep = async (ms) => { delays.push(ms); };
+      try {
+        const provider = flakyProvider(2, new TranslationError('down', { type: 'server', status: 503 }));
+        const designer = createDesigner(provider, { retryDelayMs: 100 });
+
+        const result = await designer.requestTranslation('cat');
+
+        assert.equal(result.source, 'remote');
+        assert.equal(provider.calls, 3);
+        assert.deepEqual(delays, [100, 200]);
+      } finally {
+        TShirtDesigner.sleep = sleep;
+      }
+    });
+
+    it('does not retry rate limits or validation errors', async () => {
+      for (const status of [429, 422]) {
+        const provider = flakyProvider(1, new TranslationError('no', { type: TranslationError.classify({ status }), status }));
+        const designer = createDesigner(provider, { offlineFallback: false });
+
+        await assert.rejects(designer.requestTranslation('cat'), { status });
+        assert.equal(provider.calls, 1);
+      }
+    });
+
+    it('times out a provider that never answers', async () => {
+      const designer = createDesigner({ translate: () => new Promise(() => {}) }, { timeoutMs: 5, retries: 0, offlineFallback: false });
+
+      await assert.rejects(designer.requestTranslation('cat'), { type: 'network', message: /timed out/ });
+    });
+
+    it('falls back to offline transliteration once retries are exhausted', async () => {
+      const provider = flakyProvider(Infinity, new TranslationError('offline', { type: 'network' }));
+      const designer = createDesigner(provider, { retries: 1 });
+
+      const result = await designer.requestTranslation('sakura');
+
+      assert.equal(provider.calls, 2);
+      assert.equal(result.source, 'offline');
+      assert.equal(result.data.translations[0].text, 'サクラ');
+      assert.equal(designer.translationCache.get('sakura'), undefined);
+    });
+
+    it('keeps the service error when validation fails or nothing is transliterable', async () => {
+      const rejected = createDesigner(flakyProvider(1, new TranslationError('Too long', { type: 'validation', status: 422 })));
+      await assert.rejects(rejected.requestTranslation('sakura'), { type: 'validation' });
+
+      const limited = createDesigner(flakyProvider(1, new TranslationError('slow down', { type: 'rate-limit', status: 429 })));
+      await assert.rejects(limited.requestTranslation('2024'), { type: 'rate-limit' });
+    });
+  });
+});